@@ -9,41 +9,82 @@ import "bootstrap/dist/css/bootstrap.min.css";
 import "./style.scss";
 
 import { attachAuthFlows } from "./auth/flows.js";
+import { showCalendarRange } from "./auth/ui.js";
+import { attachUrlState } from "./features/url/urlState.js";
 import { renderTasks } from "./features/tasks/render.js";
 import {
   buildCalendarGrid,
   hydrateCalendarFromState,
   refilterVisibleWeek,
 } from "./calendar/grid.js";
-import { DAYS } from "./calendar/constants.js";
+import { WEEKDAY_LABELS } from "./calendar/constants.js";
 import {
-  visibleWeekRange,
+  visibleRange,
   now as nowFn,
   isoWeekId,
   slotKeyFor,
+  weekdayOf,
 } from "./calendar/range.js";
 import {
   addStudyBlockForWindow,
   deleteStudyBlock,
+  restoreStudyBlock,
+  updateStudyBlockTimes,
   toggleBaseExclusion,
+  moveBaseSlotForWeek,
+  undoBaseSlotMove,
 } from "./services/firestore.js";
 import { initBaseScheduleModal } from "./calendar/modal.js";
+import {
+  attachBlockEditing,
+  freeWindowAround,
+  minuteAtPointer,
+  timeAt,
+  SNAP_MINUTES,
+} from "./calendar/blocks.js";
+import { offerUndo } from "./features/undo/toast.js";
+import { loadCalendarViewFromLocal } from "./services/localStorages.js";
 
 // ---------- Local app state ----------
 // Single "store" for the core entities used by the app.
 // Most of these are hydrated and kept in sync by attachAuthFlows.
 const state = {
   tasks: [],                // All tasks (populated via auth/FireStore).
+  taskSeries: [],           // Repeating task series (rules that generate tasks).
+  taskTemplates: [],        // Saved task templates (name, hours, relative due date, ...).
   studyAll: [],             // All persisted study blocks across all weeks.
   studyBlocks: [],          // Visible-week blocks (merged persisted + base).
   availSlots: new Set(),    // (Reserved for availability features, if used.)
   clockOffsetMs: 0,         // Optional local record of any clock offset in use.
+  calendarView: loadCalendarViewFromLocal() || "week", // "day" | "week" | "2week" | "month".
   weekOffset: 0,            // 0 = current week, 1 = next week, -1 = previous week.
+  viewDay: null,            // Day of the visible week shown by the day/month views (null = today's weekday).
 
   // Base schedule pattern and exclusions.
   baseStudyPattern: [],              // [{ weekday: 0..6, hour: 0..23 }]
   baseExclusions: new Set(),         // slotKeys excluded for the visible week.
   baseExclusionsByWeek: new Map(),   // Map<weekId, Set<slotKey>> (cache).
+
+  // Per-user preferences (from the users/{uid} doc).
+  prioritySettings: null,            // { urgencyMultiplier, urgencyThresholds } or null = defaults.
+  courses: [],                       // [{ id, name, color }] user-managed course list.
+  archiveAfterDays: null,            // Auto-archive completed tasks after N days (null = never).
+  calendarPrefs: null,               // { startHour, endHour, weekStart } calendar view (null = defaults).
+
+  // Completed tasks.
+  taskView: "open",                  // "open" | "done" – which list the Home tab shows.
+  archivedTasks: null,               // Archived tasks, loaded on demand (null = not loaded).
+
+  // Task list filters + sort.
+  taskFilters: null,                 // Search + filters, see features/tasks/filters.js.
+  taskSort: null,                    // [{ key, dir }] sort levels, see features/tasks/sort.js.
+  taskSortChosen: false,             // True once the user picks a sort (overrides their default).
+  defaultSort: null,                 // The user's saved default sort levels.
+
+  // Bulk selection mode (see features/tasks/bulk.js).
+  selectMode: false,                 // True while the task list shows checkboxes.
+  selectedTaskIds: new Set(),        // Ids of the selected tasks.
+  visibleTaskIds: [],                // Ids in the order the list was last drawn.
 };
 
 // A small wrapper around the offset-aware "now" function from range.js.
@@ -53,22 +94,20 @@ const now = () => nowFn();
 // ---------- Helpers ----------
 
 /**
- * For a given day label (e.g., "Mon") and 24-hour clock hour,
- * compute the Date start/end window for that slot in the current
- * visible week.
+ * For a given day column of the grid and 24-hour clock hour,
+ * compute the Date start/end window for that slot in the visible range.
  *
- * @param {string} dayLabel - One of the entries in DAYS (e.g., "Mon").
+ * @param {number} dayIndex - Column index (days after the range start).
  * @param {number} hour24   - Hour in 24-hour format (0..23).
  * @returns {{start: Date, end: Date}} The start and end of that 1-hour slot.
  */
-function hourWindowForCell(dayLabel, hour24) {
-  const { start: weekStart } = visibleWeekRange(state.weekOffset);
-  const dayIndex = DAYS.indexOf(dayLabel);
-  if (dayIndex < 0) {
-    throw new Error(`Bad day label: ${dayLabel}`);
+function hourWindowForCell(dayIndex, hour24) {
+  const { start: rangeStart, columns } = visibleRange(state);
+  if (!(dayIndex >= 0 && dayIndex < columns)) {
+    throw new Error(`Bad day column: ${dayIndex}`);
   }
 
-  const slotStartMs = slotKeyFor(weekStart, dayIndex, hour24);
+  const slotStartMs = slotKeyFor(rangeStart, dayIndex, hour24);
   const slotStart = new Date(slotStartMs);
   const slotEnd = new Date(slotStartMs + 60 * 60 * 1000); // + 1 hour
   return { start: slotStart, end: slotEnd };
@@ -86,12 +125,11 @@ function hourWindowForCell(dayLabel, hour24) {
  * - Else if the slot is in the base pattern AND not excluded, kind = "base".
  * - Else, kind = null.
  */
-function kindForSlot(state, dayLabel, hour24) {
-  const { start: weekStart } = visibleWeekRange(state.weekOffset);
-  const dayIndex = DAYS.indexOf(dayLabel);
-  if (dayIndex < 0) return null;
+function kindForSlot(state, dayIndex, hour24) {
+  const { start: rangeStart, columns } = visibleRange(state);
+  if (!(dayIndex >= 0 && dayIndex < columns)) return null;
 
-  const slotKey = slotKeyFor(weekStart, dayIndex, hour24);
+  const slotKey = slotKeyFor(rangeStart, dayIndex, hour24);
   const slotStart = new Date(slotKey);
   const slotEnd = new Date(slotKey + 60 * 60 * 1000);
 
@@ -105,7 +143,7 @@ function kindForSlot(state, dayLabel, hour24) {
 
   // Otherwise, check whether the base pattern says there should be a block here.
   const inPattern = (state.baseStudyPattern || []).some(
-    (p) => p.weekday === dayIndex && p.hour === hour24,
+    (p) => p.weekday === weekdayOf(slotStart) && p.hour === hour24,
   );
   const isExcluded = state.baseExclusions?.has(slotKey);
 
@@ -124,8 +162,8 @@ function kindForSlot(state, dayLabel, hour24) {
  * This helper is a minimal version of the more complex logic used in
  * the main calendar click handler, which also accounts for base pattern.
  */
-async function toggleStudyHour(dayLabel, hour24) {
-  const { start, end } = hourWindowForCell(dayLabel, hour24);
+async function toggleStudyHour(dayIndex, hour24) {
+  const { start, end } = hourWindowForCell(dayIndex, hour24);
 
   const existing = state.studyBlocks.find(
     (b) =>
@@ -139,7 +177,49 @@ async function toggleStudyHour(dayLabel, hour24) {
   }
 
   console.log("[CLICK] creating new study block");
-  await addStudyBlockForWindow(dayLabel, start, end);
+  await addStudyBlockForWindow(WEEKDAY_LABELS[weekdayOf(start)], start, end);
+}
+
+// ---------- Undoable calendar writes ----------
+// Each calendar click makes one of these changes and offers to undo it
+// (a single mis-click shouldn't cost a study block).
+
+/** Deletes a persisted block; undo writes the same doc back (same id + createdAt). */
+async function deleteBlockWithUndo(id) {
+  const removed = await deleteStudyBlock(id);
+  offerUndo("Study block removed.", () => restoreStudyBlock(removed));
+}
+
+/** Adds a one-off block (any length); undo deletes it again. */
+async function addBlockWithUndo(dayLabel, start, end) {
+  const ref = await addStudyBlockForWindow(dayLabel, start, end);
+  offerUndo("Study block added.", () => deleteStudyBlock(ref.id));
+}
+
+/** Moves or resizes a persisted block in place; undo puts the old times back. */
+async function moveBlockWithUndo(block, start, end) {
+  await updateStudyBlockTimes(block.id, start, end);
+  offerUndo("Study block moved.", () => updateStudyBlockTimes(block.id, block.start, block.end));
+}
+
+/**
+ * Moves a base hour for the visible week only: the base slot is excluded
+ * for this week and a one-off block is added where it was dropped.
+ * Undo removes that block and brings the base slot back.
+ */
+async function moveBaseSlotWithUndo(slotKey, start, end) {
+  const weekId = isoWeekId(new Date(slotKey));
+  const blockId = await moveBaseSlotForWeek(weekId, slotKey, start, end);
+  offerUndo("Study hour moved for this week.", () => undoBaseSlotMove(weekId, slotKey, blockId));
+}
+
+/** Excludes / un-excludes a base slot for one week; undo flips it back. */
+async function toggleExclusionWithUndo(weekId, slotKey, shouldExclude) {
+  await toggleBaseExclusion(weekId, slotKey, shouldExclude);
+  offerUndo(
+    shouldExclude ? "Study hour skipped for this week." : "Study hour restored for this week.",
+    () => toggleBaseExclusion(weekId, slotKey, !shouldExclude),
+  );
 }
 
 // ---------- Calendar click wiring ----------
@@ -152,40 +232,54 @@ let lastBaseClickMs = 0;
 
 /**
  * Attach a single click handler to the calendar container.
- * Uses event delegation to interpret clicks on .time-slot cells and
- * dispatch the appropriate behavior based on:
+ * Uses event delegation to interpret clicks on .study-block elements
+ * (persisted blocks: a click removes the block) and .time-slot cells,
+ * dispatching the appropriate behavior based on:
  * - Base pattern membership,
  * - Weekly exclusions,
  * - Existing persisted blocks,
  * - Modifier keys (Ctrl/Cmd/Alt) to un-exclude.
+ * Drawing, moving and resizing blocks by dragging is wired by attachBlockEditing.
  */
 function attachCalendarClicks() {
   if (clicksAttached) return;
   clicksAttached = true;
 
   document.getElementById("calendar")?.addEventListener("click", async (event) => {
+    // A persisted block covers the cells under it: clicking it removes it
+    // (its edge handles are only for resizing).
+    const blockEl = event.target.closest?.(".study-block");
+    if (blockEl) {
+      if (!blockEl.dataset.blockId || event.target.closest(".study-block-handle")) return;
+      try {
+        await deleteBlockWithUndo(blockEl.dataset.blockId);
+      } catch (err) {
+        console.error("[CAL] removing block failed:", err);
+      }
+      return;
+    }
+
     // Use event delegation: locate the closest .time-slot ancestor.
     const cell = event.target.closest?.(".time-slot");
     if (!cell) return;
 
-    const key = cell.dataset.key; // e.g., "Mon-7"
+    const key = cell.dataset.key; // e.g., "0-7" (day column, hour)
     if (!key) return;
 
-    const [dayLabel, hourString] = key.split("-");
+    const [columnString, hourString] = key.split("-");
+    const dayIndex = parseInt(columnString, 10);
     const hour24 = parseInt(hourString, 10);
-    if (Number.isNaN(hour24)) return;
+    if (Number.isNaN(dayIndex) || Number.isNaN(hour24)) return;
 
-    const { start: weekStart } = visibleWeekRange(state.weekOffset);
-    const dayIndex = DAYS.indexOf(dayLabel);
-    if (dayIndex < 0) return;
-
-    const slotKey = slotKeyFor(weekStart, dayIndex, hour24);
+    const { start: rangeStart } = visibleRange(state);
+    const slotKey = slotKeyFor(rangeStart, dayIndex, hour24);
     const slotStart = new Date(slotKey);
     const slotEnd = new Date(slotKey + 60 * 60 * 1000);
+    const dayLabel = WEEKDAY_LABELS[weekdayOf(slotStart)];
 
     // Compute the current classification of this slot from state.
     const inPattern = (state.baseStudyPattern || []).some(
-      (p) => p.weekday === dayIndex && p.hour === hour24,
+      (p) => p.weekday === weekdayOf(slotStart) && p.hour === hour24,
     );
     const isExcluded = state.baseExclusions?.has(slotKey) === true;
     const persisted = state.studyAll.find(
@@ -201,9 +295,9 @@ function attachCalendarClicks() {
         if (nowMs - lastBaseClickMs < 120) return;
         lastBaseClickMs = nowMs;
 
-        // Compute week id for this visible week (Monday "YYYY-MM-DD").
-        const { start } = visibleWeekRange(state.weekOffset);
-        const weekId = isoWeekId(start);
+        // Week id of this slot (its Monday, "YYYY-MM-DD"). Not the visible
+        // week's start: a week shown from Sunday spans two Monday weeks.
+        const weekId = isoWeekId(slotStart);
 
         // Holding Ctrl/Cmd/Alt means the user wants to un-exclude an excluded base.
         const wantUnexclude =
@@ -212,50 +306,41 @@ function attachCalendarClicks() {
         if (hasPersisted) {
           // If a persisted block exists on a base slot, a click removes it,
           // revealing the base slot again once snapshots repaint.
-          await deleteStudyBlock(persisted.id);
+          await deleteBlockWithUndo(persisted.id);
           return;
         }
 
         if (isExcluded) {
           if (wantUnexclude) {
             // Modifier + click on an excluded base slot => un-exclude it.
-            await toggleBaseExclusion(weekId, slotKey, false);
+            await toggleExclusionWithUndo(weekId, slotKey, false);
             return;
           }
           // Normal click on an excluded base slot => create a one-off
           // persisted block for this hour.
-          await addStudyBlockForWindow(dayLabel, slotStart, slotEnd);
+          await addBlockWithUndo(dayLabel, slotStart, slotEnd);
           return;
         }
 
         // Base slot is visible and not excluded:
         // normal click excludes it for this week.
-        await toggleBaseExclusion(weekId, slotKey, true);
+        await toggleExclusionWithUndo(weekId, slotKey, true);
         return;
       }
 
-      // ----- Non-base pattern behavior (pure persisted toggle) -----
-      const hasPersistedNonBase = state.studyBlocks.some(
-        (b) =>
-          !b._base &&
-          b.start.getTime() === slotStart.getTime() &&
-          b.end.getTime() === slotEnd.getTime(),
-      );
-
-      if (hasPersistedNonBase) {
-        // Find and delete the existing persisted block.
-        const existing = state.studyBlocks.find(
-          (b) =>
-            !b._base &&
-            b.start.getTime() === slotStart.getTime() &&
-            b.end.getTime() === slotEnd.getTime(),
-        );
-        if (existing?.id) {
-          await deleteStudyBlock(existing.id);
-        }
-      } else {
-        // Otherwise, create a new persisted block in this hour.
-        await addStudyBlockForWindow(dayLabel, slotStart, slotEnd);
+      // ----- Non-base pattern behavior (add a block in this hour) -----
+      // The hour may already be partly taken by a longer block; the new one
+      // fills the free part of the hour around the clicked quarter.
+      const grid = document.getElementById("calendarGrid");
+      const minute = grid
+        ? minuteAtPointer(grid, dayIndex, event.clientY)
+        : hour24 * 60;
+      const anchorStart = timeAt(rangeStart, dayIndex, minute);
+      const anchorEnd = timeAt(rangeStart, dayIndex, minute + SNAP_MINUTES);
+      const free = freeWindowAround(state, anchorStart, anchorEnd, slotStart, slotEnd);
+
+      if (free) {
+        await addBlockWithUndo(dayLabel, free.start, free.end);
       }
 
       // No local/optimistic mutation here: Firestore snapshot listeners
@@ -279,8 +364,16 @@ window.addEventListener("DOMContentLoaded", () => {
   // Set up click handling on the calendar.
   attachCalendarClicks();
 
-  // Build the visible week grid and paint it from the initial state.
-  buildCalendarGrid(state.weekOffset);
+  // Dragging on the grid draws a block of any length (15-minute steps),
+  // moves or resizes a block, or moves a base hour for this week.
+  attachBlockEditing(state, {
+    onDraw: addBlockWithUndo,
+    onMove: moveBlockWithUndo,
+    onMoveBase: moveBaseSlotWithUndo,
+  });
+
+  // Build the grid for the saved view and paint it from the initial state.
+  buildCalendarGrid(state);
   hydrateCalendarFromState(state);
 
   // Initialize the Base Schedule modal; when the modal saves,
@@ -291,6 +384,13 @@ window.addEventListener("DOMContentLoaded", () => {
   // - Hydrate tasks, study blocks, base pattern, and exclusions.
   // - Call refilterVisibleWeek and renderTasks as snapshots arrive.
   attachAuthFlows(state, now);
+
+  // Open the week/view, filters and sort from the URL (and keep it in sync;
+  // the tab follows once the user is signed in).
+  attachUrlState(state, {
+    showCalendar: () => showCalendarRange(state, now),
+    renderList: () => renderTasks(state, now),
+  });
 });
 
 // Export state and a few core helpers for other modules to use.
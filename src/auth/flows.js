@@ -16,6 +16,17 @@ import {
 } from "../services/firebaseConfig.js";
 
 import { attachTaskForm } from "../features/tasks/form.js";
+import { attachPrioritySettings } from "../features/settings/priority.js";
+import { attachCourseSettings } from "../features/settings/courses.js";
+import { attachArchiveSettings } from "../features/settings/archive.js";
+import { attachCalendarSettings } from "../features/settings/calendar.js";
+import { attachTaskFilters } from "../features/tasks/filters.js";
+import { attachTaskViewToggle } from "../features/tasks/archive.js";
+import { attachSortMenu } from "../features/tasks/sort.js";
+import { attachBulkActions } from "../features/tasks/bulk.js";
+import { attachQuickAdd } from "../features/tasks/quickAdd.js";
+import { renderTasks } from "../features/tasks/render.js";
+import { restoreUrlTab } from "../features/url/urlState.js";
 /**Imports
  * Functions for conttrolling UI reactions to authentication changes
  */
@@ -42,8 +53,17 @@ export function attachAuthFlows(state, now) {
    * Wires up settigns tab actions
    */
   attachScaffolding(state, now);
-  attachTaskForm();
+  attachTaskForm(state, now);
   attachSettingsActions(signOut, auth);
+  attachPrioritySettings();
+  attachCourseSettings(state);
+  attachArchiveSettings();
+  attachCalendarSettings();
+  attachTaskFilters(state, () => renderTasks(state, now));
+  attachTaskViewToggle(state, () => renderTasks(state, now));
+  attachSortMenu(state, () => renderTasks(state, now));
+  attachBulkActions(state, now, () => renderTasks(state, now));
+  attachQuickAdd(state, now);
 
   // ---------- Inline Log In ----------
   /** Login Form
@@ -202,6 +222,8 @@ export function attachAuthFlows(state, now) {
       state.user = user;
       // onAuthed sets up Firestore watchers (tasks, study, base pattern/exclusions)
       cleanup = onAuthed(user, state, now);
+      // Open the tab from the URL the page was opened with (first sign-in only)
+      restoreUrlTab();
     } else {
       /**
        * If user is logged out,
@@ -15,6 +15,9 @@ import {
   watchStudyBlocks,
   watchBasePattern,
   watchBaseExclusions,
+  watchUserPrefs,
+  watchTaskSeries,
+  watchTaskTemplates,
 } from "../services/firestore.js";
 /**
  * Imports calendar functions
@@ -26,8 +29,33 @@ import {
   refilterVisibleWeek,
   showCalendarSynced,
 } from "../calendar/grid.js";
-import { visibleWeekRange, isoWeekId } from "../calendar/range.js";
+import {
+  visibleRange,
+  isoWeekId,
+  addDays,
+  shiftedPosition,
+  calendarPositionOf,
+  calendarViewOf,
+  viewAnchor,
+  CALENDAR_VIEWS,
+} from "../calendar/range.js";
+import { startNowTicker } from "../calendar/nowLine.js";
+import { syncUrlState } from "../features/url/urlState.js";
 import { renderTasks } from "../features/tasks/render.js";
+import { renderOverloadWarnings } from "../features/tasks/overload.js";
+import { fillPrioritySettingsForm } from "../features/settings/priority.js";
+import {
+  renderCourseSettings,
+  fillCourseOptions,
+} from "../features/settings/courses.js";
+import { syncSeriesInstances, toDateStr } from "../features/tasks/recurrence.js";
+import { autoArchiveCompleted } from "../features/tasks/archive.js";
+import { fillArchiveSettingsForm } from "../features/settings/archive.js";
+import { fillCalendarSettingsForm } from "../features/settings/calendar.js";
+import { normalizeCalendarPrefs, setCalendarView } from "../calendar/constants.js";
+import { applyDefaultSort } from "../features/tasks/sort.js";
+import { fillTemplateOptions } from "../features/tasks/templates.js";
+import { saveCalendarViewLocally } from "../services/localStorages.js";
 import { state, now } from "../app.js";
 
 /* -------------------- Auth UI gating -------------------- */
@@ -78,25 +106,122 @@ export function setAuthUI(isAuthed) {
 /* -------------------- Week exclusions watcher -------------------- */
 let _unsubExcl = null; //Holds the unsubscribe function to stop the old listener before starting a new one
 function watchCurrentWeekExclusions(state, now) {
-  const { start } = visibleWeekRange(state.weekOffset); //Determines the correct Monday for the displayed week
-  const weekId = isoWeekId(start); //Makes sure each week is individual and can have its own exclusions
-  if (_unsubExcl) _unsubExcl(); //Stop Firestore listener if the week is switched
-  _unsubExcl = watchBaseExclusions(weekId, (setForWeek) => {
-    // start a new watcher for the new week
-    // Replace (don't merge) to avoid “revival” after snapshot races
-    console.log("[SNAPSHOT] exclusions update", Array.from(setForWeek));
-
-    state.baseExclusions = setForWeek; //Stores the current week's excusions
-    /**
-     * Memorizes excusions by week, to prevent long Firebase back and forth every time the user switches weeks
-     */
-    state.baseExclusionsByWeek ||= new Map();
-    state.baseExclusionsByWeek.set(weekId, setForWeek);
-    //Recomputes visible slots and re-renders UI
-    refilterVisibleWeek(state, () => renderTasks(state, now));
+  if (!state.user) return; //Exclusions are per user: nothing to watch while signed out (onAuthed starts it)
+  const { start, end } = visibleRange(state); //Determines the first and following day of the displayed range
+  /**
+   * Exclusions are stored per Monday week. The visible range can overlap
+   * several of them (a Sunday-first week, 2 weeks, a month), so all are watched.
+   */
+  const weekIds = [];
+  for (let day = start; day < end; day = addDays(day, 1)) {
+    const weekId = isoWeekId(day);
+    if (!weekIds.includes(weekId)) weekIds.push(weekId);
+  }
+  if (_unsubExcl) _unsubExcl(); //Stop Firestore listeners if the week is switched
+  const unsubs = weekIds.map((weekId) =>
+    watchBaseExclusions(weekId, (setForWeek) => {
+      // start a new watcher for the new week
+      // Replace (don't merge) to avoid “revival” after snapshot races
+      console.log("[SNAPSHOT] exclusions update", weekId, Array.from(setForWeek));
+
+      /**
+       * Memorizes excusions by week, to prevent long Firebase back and forth every time the user switches weeks
+       */
+      state.baseExclusionsByWeek ||= new Map();
+      state.baseExclusionsByWeek.set(weekId, setForWeek);
+      //Stores the visible week's exclusions (slot keys are timestamps, so the sets can be combined)
+      state.baseExclusions = new Set(
+        weekIds.flatMap((id) => [...(state.baseExclusionsByWeek.get(id) || [])])
+      );
+      //Recomputes visible slots and re-renders UI
+      refilterVisibleWeek(state, () => renderTasks(state, now));
+    })
+  );
+  _unsubExcl = () => unsubs.forEach((unsub) => unsub());
+}
+
+/* -------------------- Calendar view prefs -------------------- */
+/**
+ * Applies the visible hours / first day of week (users/{uid}.calendarPrefs).
+ * The grid is only rebuilt when something actually changed.
+ * rewatch: also restart the exclusions listener (only while signed in),
+ * since a different first day can cover other Monday weeks.
+ */
+function applyCalendarPrefs(state, now, prefs, rewatch) {
+  const next = normalizeCalendarPrefs(prefs);
+  fillCalendarSettingsForm(next); //Keep the Settings form in sync
+  const prev = state.calendarPrefs;
+  state.calendarPrefs = next;
+  const unchanged =
+    prev &&
+    prev.startHour === next.startHour &&
+    prev.endHour === next.endHour &&
+    prev.weekStart === next.weekStart;
+  if (unchanged) return;
+
+  setCalendarView(next);
+  buildCalendarGrid(state); //Rows and columns follow the new prefs
+  if (rewatch) watchCurrentWeekExclusions(state, now);
+  refilterVisibleWeek(state, () => renderTasks(state, now));
+}
+
+/* -------------------- Range display -------------------- */
+/**
+ * Redraws the calendar after the view or the shown date changed:
+ * rebuilds the grid, repaints it and watches the exclusions of the new range.
+ * The URL follows along (each move is a browser history step).
+ */
+function showVisibleRange(state, now) {
+  syncJumpDate(state);
+  buildCalendarGrid(state); //Rebuild the calendar grid
+  refilterVisibleWeek(state, () => renderTasks(state, now)); //Filter study blocks and render tasks
+  showCalendarSynced();
+  watchCurrentWeekExclusions(state, now); //Refresh Firestore listener for the new range
+  syncUrlState(state);
+}
+
+/**
+ * Shows state.calendarView / weekOffset / viewDay after they were set from
+ * outside the calendar controls (a link, browser back/forward)
+ */
+export function showCalendarRange(state, now) {
+  syncViewButtons(state);
+  showVisibleRange(state, now);
+}
+
+/**
+ * Keeps the date picker on the date the calendar is showing
+ */
+function syncJumpDate(state) {
+  const input = document.getElementById("calendarJumpDate");
+  if (input) input.value = toDateStr(viewAnchor(state));
+}
+
+/**
+ * Marks the view switcher button of the current view as active
+ */
+function syncViewButtons(state) {
+  const view = calendarViewOf(state);
+  document.querySelectorAll("[data-cal-view]").forEach((btn) => {
+    const active = btn.dataset.calView === view;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
   });
 }
 
+/**
+ * Switches the calendar view (day, week, 2week, month), optionally to
+ * show a given date (otherwise it stays on the same week and day).
+ * The view is remembered on this device.
+ */
+function switchCalendarView(state, now, view, date = null) {
+  if (!CALENDAR_VIEWS[view]) return;
+  state.calendarView = view;
+  if (date) Object.assign(state, calendarPositionOf(date));
+  saveCalendarViewLocally(view);
+  showCalendarRange(state, now);
+}
+
 /* -------------------- Scaffolding & week navigation -------------------- */
 export function attachScaffolding(state, now) {
   /**
@@ -112,8 +237,38 @@ export function attachScaffolding(state, now) {
   document.getElementById("authPanel")?.classList.remove("d-none");
   document.getElementById("homeApp")?.classList.add("d-none");
 
-  // Single delegated listener for both mobile/desktop week-nav
-  document.getElementById("calendarPage")?.addEventListener("click", (e) => {
+  const calendarPage = document.getElementById("calendarPage");
+
+  // Single delegated listener for both mobile/desktop week-nav, the view switcher and month days
+  calendarPage?.addEventListener("click", (e) => {
+    /**
+     * View switcher: day, week, 2 weeks or month
+     */
+    const viewBtn = e.target.closest("[data-cal-view]");
+    if (viewBtn) {
+      switchCalendarView(state, now, viewBtn.dataset.calView);
+      return;
+    }
+
+    /**
+     * A day of the month view opens that day in the day view
+     */
+    const monthDay = e.target.closest(".month-day[data-date]");
+    if (monthDay) {
+      switchCalendarView(state, now, "day", new Date(`${monthDay.dataset.date}T00:00:00`));
+      return;
+    }
+
+    /**
+     * Today: back to the current week (viewDay null = follow now())
+     */
+    if (e.target.closest("[data-cal-today]")) {
+      state.weekOffset = 0;
+      state.viewDay = null;
+      showVisibleRange(state, now);
+      return;
+    }
+
     /**
      * Identify if the clicked element is a week navigation button,
      * if no, return
@@ -121,15 +276,34 @@ export function attachScaffolding(state, now) {
     const btn = e.target.closest("[data-week-nav]");
     if (!btn) return;
 
-    const dir = btn.dataset.weekNav === "prev" ? -1 : 1; //Determine week navigation (previous or next)
-    state.weekOffset += dir; //Updates week offset, next increments it, prev decrements it
-    buildCalendarGrid(state.weekOffset); //Rebuild the calendar grid
-    refilterVisibleWeek(state, () => renderTasks(state, now)); //Filter study blocks and render tasks
-    showCalendarSynced();
-    watchCurrentWeekExclusions(state, now); //Refresh Firestore listener for the new week
+    const dir = btn.dataset.weekNav === "prev" ? -1 : 1; //Determine navigation (previous or next)
+    Object.assign(state, shiftedPosition(state, dir)); //Moves by one day, week, 2 weeks or month depending on the view
+    showVisibleRange(state, now);
+  });
+
+  // Month days are focusable: Enter/Space opens them like a click
+  calendarPage?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    const monthDay = e.target.closest(".month-day[data-date]");
+    if (!monthDay) return;
+    e.preventDefault();
+    monthDay.click();
+  });
+
+  // Date picker: show the day/week/2 weeks/month containing the picked date
+  // (its weekOffset is counted with visibleWeekRange, see calendarPositionOf)
+  document.getElementById("calendarJumpDate")?.addEventListener("change", (e) => {
+    if (!e.target.value) return;
+    Object.assign(state, calendarPositionOf(new Date(`${e.target.value}T00:00:00`)));
+    showVisibleRange(state, now);
   });
 
-  buildCalendarGrid(state.weekOffset); //Initiallises the calendar
+  // Moves the current-time line; past midnight the grid is rebuilt for the new day
+  startNowTicker(state, () => showVisibleRange(state, now));
+
+  syncViewButtons(state);
+  syncJumpDate(state);
+  buildCalendarGrid(state); //Initiallises the calendar
 }
 
 /* -------------------- Auth lifecycle -------------------- */
@@ -139,6 +313,9 @@ export function attachScaffolding(state, now) {
 let _unsubTasks = null;
 let _unsubStudy = null;
 let _unsubPattern = null;
+let _unsubPrefs = null;
+let _unsubSeries = null;
+let _unsubTemplates = null;
 
 export function onAuthed(user, state, now) {
   /**
@@ -162,11 +339,43 @@ export function onAuthed(user, state, now) {
   homeApp?.classList.remove("d-none");
   setAuthUI(true);
 
+  // Repeating series need both tasks and series loaded before missing
+  // instances can be generated (otherwise everything looks "missing")
+  let tasksLoaded = false;
+  let seriesLoaded = false;
+  const syncSeries = () => {
+    if (tasksLoaded && seriesLoaded) syncSeriesInstances(state, now);
+  };
+
+  // Auto-archiving needs both the tasks and the user's archive setting
+  let prefsLoaded = false;
+  const archiveOld = () => {
+    if (tasksLoaded && prefsLoaded) autoArchiveCompleted(state, now);
+  };
+
   // Live tasks
   _unsubTasks = watchTasks((arr) => {
     //Listener for changes in tasks Firestore collection
     state.tasks = arr;
-    renderTasks(state, now); //Updates tasks in UI
+    tasksLoaded = true;
+    //Repaints the calendar (study hours are reserved per task) and updates tasks in UI
+    refilterVisibleWeek(state, () => renderTasks(state, now));
+    syncSeries();
+    archiveOld(); //Move old completed tasks out of the live list
+  });
+
+  // Live repeating task series
+  _unsubSeries = watchTaskSeries((arr) => {
+    state.taskSeries = arr;
+    seriesLoaded = true;
+    renderTasks(state, now); //Cards show each instance's repeat rule
+    syncSeries(); //Generate upcoming instances
+  });
+
+  // Live task templates (picker in the task form)
+  _unsubTemplates = watchTaskTemplates((arr) => {
+    state.taskTemplates = arr;
+    fillTemplateOptions(arr);
   });
 
   // Live persisted study blocks
@@ -188,9 +397,21 @@ export function onAuthed(user, state, now) {
   // Live base exclusions for the visible week
   watchCurrentWeekExclusions(state, now);
 
-  // Initialize task sort mode + button UI once we're authed.
-  state.sortMode = state.sortMode || "priority";
-  updateTaskSortButtons();
+  // Live user preferences (stored on the users/{uid} doc)
+  _unsubPrefs = watchUserPrefs((prefs) => {
+    state.prioritySettings = prefs.prioritySettings || null; //null = use defaults
+    fillPrioritySettingsForm(state.prioritySettings); //Keep the Settings form in sync
+    state.courses = Array.isArray(prefs.courses) ? prefs.courses : [];
+    renderCourseSettings(state); //Course list in Settings
+    fillCourseOptions(state.courses); //Course picker in the task form
+    state.archiveAfterDays = Number.isInteger(prefs.archiveAfterDays) ? prefs.archiveAfterDays : null;
+    applyDefaultSort(state, prefs.defaultSort); //Start with the user's own default sort
+    fillArchiveSettingsForm(state.archiveAfterDays);
+    applyCalendarPrefs(state, now, prefs.calendarPrefs, true); //Visible hours + first day of week
+    prefsLoaded = true;
+    refilterVisibleWeek(state, () => renderTasks(state, now)); //Re-score tasks (cards + calendar due markers) with the new weights
+    archiveOld();
+  });
 
   // cleanup to call on sign-out
   //Stops all Firestore listeners when user logs out
@@ -203,6 +424,12 @@ export function onAuthed(user, state, now) {
     _unsubPattern = null;
     _unsubExcl?.();
     _unsubExcl = null;
+    _unsubPrefs?.();
+    _unsubPrefs = null;
+    _unsubSeries?.();
+    _unsubSeries = null;
+    _unsubTemplates?.();
+    _unsubTemplates = null;
   };
 }
 
@@ -224,11 +451,23 @@ export function onLoggedOut() {
   // clear volatile state so UI paints empty safely
   //Clear state when user signs out
   state.tasks = [];
+  state.taskSeries = [];
+  state.taskTemplates = [];
+  fillTemplateOptions([]);
   state.studyAll = [];
   state.baseStudyPattern = [];
   state.baseExclusions = new Set();
   state.baseExclusionsByWeek = new Map();
+  state.prioritySettings = null;
+  state.courses = [];
+  state.archiveAfterDays = null;
+  state.archivedTasks = null;
+  state.taskSortChosen = false; //The next user starts with their own default sort
+  state.selectMode = false;
+  state.selectedTaskIds = new Set();
+  applyCalendarPrefs(state, now, null, false); //Back to the default hours and week start
   refilterVisibleWeek(state, () => {}); //Repaint empty calendar
+  renderOverloadWarnings(state, now); //Hide any "can't finish" warnings
 }
 
 export function attachSettingsActions(signOut, auth) {
@@ -287,62 +526,3 @@ export function attachSettingsActions(signOut, auth) {
     }
   });
 }
-
-// ---------- Task sort controls ----------
-
-// Keep everything reading from the same place: state.sortMode.
-// We treat "priority" as the default when not set.
-function updateTaskSortButtons() {
-  const currentMode = state.sortMode || "priority"; //Determine the current sort mode, defaults to priority
-
-  /**
-   * Create configurations for sorting methods
-   */
-  const configs = [
-    { id: "sortDueDate", mode: "dueDate" },
-    { id: "sortTimeRequired", mode: "time" },
-  ];
-
-  //Update each button
-  configs.forEach(({ id, mode }) => {
-    const button = document.getElementById(id);
-    if (!button) return;
-
-    const isActive = currentMode === mode; //If button represents the current sort mode
-    button.classList.toggle("active", isActive); //Toggle visial active class
-    button.setAttribute("aria-pressed", isActive ? "true" : "false"); //Toggles accessibility ARIA attribute
-  });
-}
-
-function applySortMode(mode) {
-  const currentMode = state.sortMode || "priority"; //Determine the current sort mode, defaults to priority
-
-  // Click same mode again → back to default ("priority")
-  // Click different mode → switch to that mode.
-  const nextMode = currentMode === mode ? "priority" : mode;
-  state.sortMode = nextMode; //Save new mode to global state
-
-  updateTaskSortButtons(); //Update sort button highlights
-  renderTasks(state, now); //Re-render the tasks using new logic
-}
-
-// Wire up listeners once at module load.
-// If the buttons don't exist on the current tab, this quietly does nothing.
-
-const sortDueDateButton = document.getElementById("sortDueDate"); //Get value from DOM
-//If button exists, add an event listener
-if (sortDueDateButton) {
-  sortDueDateButton.addEventListener("click", (event) => {
-    event.preventDefault(); //Prevents default behaviour such as reloading from a form submission
-    applySortMode("dueDate"); //Apply the sort mode
-  });
-}
-
-const sortTimeRequiredButton = document.getElementById("sortTimeRequired"); //Get value from DOM
-//If button exists, add an event listener
-if (sortTimeRequiredButton) {
-  sortTimeRequiredButton.addEventListener("click", (event) => {
-    event.preventDefault(); //Prevents default behaviour such as reloading from a form submission
-    applySortMode("time"); //Apply the sort mode
-  });
-}
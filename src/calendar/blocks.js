@@ -0,0 +1,391 @@
+// calendar/blocks.js
+// Persisted study blocks of any length on the week grid.
+// - Each block is one Firestore doc (start/end at 15-minute steps) and is
+//   drawn as a single element spanning its rows, instead of per-hour cells.
+// - Click-and-drag down a day column draws a new block; the drawn range
+//   stops at neighbouring blocks, so blocks never overlap.
+// - Dragging a block moves it (to any day/time of the visible days);
+//   dragging its top or bottom edge resizes it. The doc is updated in place.
+// - Dragging a base-schedule hour moves it for this week only: the base slot
+//   is excluded for the week and a persisted block is added where it was dropped.
+// Base-schedule hours are still painted per cell by hydrateCalendarFromState.
+
+import { HOURS, WEEKDAY_LABELS } from './constants.js';
+import { visibleRange, slotKeyFor, weekdayOf } from './range.js';
+
+// Smallest step for drawing (minutes)
+export const SNAP_MINUTES = 15;
+
+// First/last minute of the day the grid shows (7:00 → 24:00 by default;
+// HOURS follows the user's calendar prefs)
+const dayFirstMin = () => HOURS[0] * 60;
+const dayEndMin = () => (HOURS[HOURS.length - 1] + 1) * 60;
+
+// Drag in progress:
+// { mode: 'draw' | 'move' | 'resize-start' | 'resize-end' | 'move-base',
+//   dayIndex, anchorMin, currentMin, moved, draft,
+//   block, el, startMin, endMin (the block being moved/resized) }
+let drag = null;
+
+// Set after a drag created a block, so the click that follows is ignored
+let suppressClick = false;
+
+/**
+ * Local Date for a minute of a day column in the visible range
+ * (setHours handles DST days, unlike adding minutes in ms).
+ */
+export function timeAt(rangeStart, dayIndex, minute) {
+    const d = new Date(slotKeyFor(rangeStart, dayIndex, 0));
+    d.setHours(0, minute, 0, 0);
+    return d;
+}
+
+// Minutes since midnight of a Date
+function minuteOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+// Same, for the end of a range: midnight means the end of the day
+function endMinuteOfDay(date) {
+    return minuteOfDay(date) || 24 * 60;
+}
+
+// Time of day like "3:30 PM"
+function fmtTime(date) {
+    return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Parts of a block that fall inside the grid, one per day column:
+ * [{ dayIndex, startMin, endMin }] (minutes since that day's midnight).
+ */
+export function blockPieces(block, rangeStart, columns) {
+    const pieces = [];
+    for (let dayIndex = 0; dayIndex < columns; dayIndex++) {
+        const from = timeAt(rangeStart, dayIndex, dayFirstMin());
+        const to = timeAt(rangeStart, dayIndex, dayEndMin());
+        const start = block.start > from ? block.start : from;
+        const end = block.end < to ? block.end : to;
+        if (end <= start) continue;
+        pieces.push({ dayIndex, startMin: minuteOfDay(start), endMin: endMinuteOfDay(end) });
+    }
+    return pieces;
+}
+
+// Places a block element over its day column, from startMin to endMin.
+// Absolutely positioned grid children use their grid area as the containing
+// block, so the element starts in its first hour row and runs down from there.
+// (The current-time line in nowLine.js is placed the same way.)
+export function placeBlockElement(el, dayIndex, startMin, endMin) {
+    const hour = Math.floor(startMin / 60);
+    el.style.gridColumn = String(dayIndex + 2);
+    el.style.gridRow = String(HOURS.indexOf(hour) + 2);
+    el.style.setProperty('--block-top', String((startMin - hour * 60) / 60));
+    el.style.setProperty('--block-len', String((endMin - startMin) / 60));
+}
+
+// Names of the tasks the planner reserved time for inside [start, end)
+function reservedNames(segments, start, end) {
+    const names = [];
+    for (const seg of segments) {
+        if (seg.start < end && seg.end > start && !names.includes(seg.taskName)) {
+            names.push(seg.taskName);
+        }
+    }
+    return names;
+}
+
+/**
+ * Draws every persisted block of the visible days as a spanning element
+ * (the month view has no hour rows, so nothing is drawn there).
+ *
+ * @param {HTMLElement} grid - #calendarGrid
+ * @param {object} state - Needs calendarView, weekOffset, viewDay and studyBlocks.
+ * @param {Array} segments - planStudyTime segments (task names on the blocks).
+ */
+export function paintStudyBlocks(grid, state, segments) {
+    grid.querySelectorAll('.study-block:not(.study-block-draft)').forEach((el) => el.remove());
+
+    const { start: rangeStart, columns } = visibleRange(state);
+    for (const block of state.studyBlocks || []) {
+        if (block._base) continue;
+
+        for (const piece of blockPieces(block, rangeStart, columns)) {
+            const el = document.createElement('div');
+            el.className = 'study-block';
+            if (block.id) el.dataset.blockId = block.id;
+            placeBlockElement(el, piece.dayIndex, piece.startMin, piece.endMin);
+
+            // Only blocks shown whole (one day, inside the grid hours) can be dragged
+            const whole =
+                block.start.getTime() === timeAt(rangeStart, piece.dayIndex, piece.startMin).getTime() &&
+                block.end.getTime() === timeAt(rangeStart, piece.dayIndex, piece.endMin).getTime();
+            if (whole && block.id) {
+                el.dataset.editable = 'true';
+                el.dataset.dayIndex = String(piece.dayIndex);
+                for (const edge of ['start', 'end']) {
+                    const handle = document.createElement('span');
+                    handle.className = `study-block-handle study-block-handle-${edge}`;
+                    handle.dataset.edge = edge;
+                    el.appendChild(handle);
+                }
+            }
+
+            const from = timeAt(rangeStart, piece.dayIndex, piece.startMin);
+            const to = timeAt(rangeStart, piece.dayIndex, piece.endMin);
+            const names = reservedNames(segments, from, to);
+
+            const time = document.createElement('span');
+            time.className = 'study-block-time';
+            time.textContent = `${fmtTime(from)} – ${fmtTime(to)}`;
+
+            const label = document.createElement('span');
+            label.className = 'study-block-label';
+            // textContent keeps task names from being parsed as HTML
+            label.textContent = names.length ? names.join(', ') : 'Study time';
+
+            el.append(time, label);
+            el.title = names.length
+                ? `Reserved for ${names.join(', ')} (click to remove, drag to move)`
+                : 'Study time (click to remove, drag to move)';
+            grid.appendChild(el);
+        }
+    }
+}
+
+// Blocks new study time must not overlap: all persisted blocks plus the
+// base hours shown in the visible range (refilterVisibleWeek hides a whole
+// base hour as soon as a persisted block touches it)
+function occupiedBlocks(state) {
+    return [...(state.studyAll || []), ...(state.studyBlocks || []).filter((b) => b._base)];
+}
+
+/**
+ * The free stretch of time around [anchorStart, anchorEnd), clipped to
+ * [from, to): it ends where the nearest blocks (persisted or base hours) begin.
+ * Returns null when a block already covers the anchor.
+ * ignoreId skips one block (the one being resized).
+ */
+export function freeWindowAround(state, anchorStart, anchorEnd, from, to, ignoreId = null) {
+    let lo = from;
+    let hi = to;
+    for (const b of occupiedBlocks(state)) {
+        if (ignoreId && b.id === ignoreId) continue;
+        if (b.start < anchorEnd && b.end > anchorStart) return null;
+        if (b.end <= anchorStart && b.end > lo) lo = b.end;
+        if (b.start >= anchorEnd && b.start < hi) hi = b.start;
+    }
+    return hi > lo ? { start: lo, end: hi } : null;
+}
+
+/**
+ * Minute of the day under a pointer's y position in a day column,
+ * rounded down to SNAP_MINUTES and kept inside the grid.
+ */
+export function minuteAtPointer(grid, dayIndex, clientY) {
+    const first = grid.querySelector(`.time-slot[data-key="${dayIndex}-${HOURS[0]}"]`);
+    if (!first) return dayFirstMin();
+    const rect = first.getBoundingClientRect();
+    const raw = dayFirstMin() + ((clientY - rect.top) / rect.height) * 60;
+    const snapped = Math.floor(raw / SNAP_MINUTES) * SNAP_MINUTES;
+    return Math.min(Math.max(snapped, dayFirstMin()), dayEndMin() - SNAP_MINUTES);
+}
+
+// Day column under a pointer's x position; the nearest edge column outside the grid
+function dayAtPointer(grid, clientX, columns) {
+    for (let dayIndex = columns - 1; dayIndex > 0; dayIndex--) {
+        const cell = grid.querySelector(`.time-slot[data-key="${dayIndex}-${HOURS[0]}"]`);
+        if (cell && clientX >= cell.getBoundingClientRect().left) return dayIndex;
+    }
+    return 0;
+}
+
+// True when [start, end) overlaps a block (persisted or base hour) other than ignoreId
+function overlapsBlock(state, start, end, ignoreId) {
+    return occupiedBlocks(state).some((b) => b.id !== ignoreId && b.start < end && b.end > start);
+}
+
+// Where the drag would put the block: { start, end, valid } or null.
+// - draw: anchor..pointer, clipped to free time
+// - move / move-base: same length, at the pointer's day and time;
+//   invalid while it overlaps another block
+// - resize-*: the dragged edge follows the pointer, stopping at neighbours
+function dragRange(state) {
+    const { start: rangeStart } = visibleRange(state);
+    const at = (dayIndex, minute) => timeAt(rangeStart, dayIndex, minute);
+    const { mode, dayIndex, anchorMin, currentMin, startMin, endMin } = drag;
+    const ignoreId = drag.block?.id ?? null;
+
+    if (mode === 'move' || mode === 'move-base') {
+        const length = endMin - startMin;
+        const newStart = Math.min(
+            Math.max(startMin + currentMin - anchorMin, dayFirstMin()),
+            dayEndMin() - length,
+        );
+        const start = at(dayIndex, newStart);
+        const end = at(dayIndex, newStart + length);
+        // The block being moved (a base hour is "base-<slotKey>") doesn't block itself
+        return { start, end, valid: !overlapsBlock(state, start, end, ignoreId) };
+    }
+
+    let range;
+    if (mode === 'resize-start') {
+        const newStart = Math.min(currentMin, endMin - SNAP_MINUTES);
+        range = freeWindowAround(
+            state, at(dayIndex, endMin - SNAP_MINUTES), at(dayIndex, endMin),
+            at(dayIndex, newStart), at(dayIndex, endMin), ignoreId,
+        );
+    } else if (mode === 'resize-end') {
+        const newEnd = Math.max(currentMin + SNAP_MINUTES, startMin + SNAP_MINUTES);
+        range = freeWindowAround(
+            state, at(dayIndex, startMin), at(dayIndex, startMin + SNAP_MINUTES),
+            at(dayIndex, startMin), at(dayIndex, newEnd), ignoreId,
+        );
+    } else {
+        const lowMin = Math.min(anchorMin, currentMin);
+        const highMin = Math.max(anchorMin, currentMin) + SNAP_MINUTES;
+        range = freeWindowAround(
+            state, at(dayIndex, anchorMin), at(dayIndex, anchorMin + SNAP_MINUTES),
+            at(dayIndex, lowMin), at(dayIndex, highMin),
+        );
+    }
+    return range ? { ...range, valid: true } : null;
+}
+
+// Moves the dashed preview to the current drag range
+function updateDraft(state) {
+    const range = dragRange(state);
+    drag.draft.classList.toggle('d-none', !range);
+    if (!range) return;
+    drag.draft.classList.toggle('study-block-invalid', !range.valid);
+    placeBlockElement(drag.draft, drag.dayIndex, minuteOfDay(range.start), endMinuteOfDay(range.end));
+    drag.draft.textContent = `${fmtTime(range.start)} – ${fmtTime(range.end)}`;
+}
+
+// What a press on the grid starts, or null when it isn't a drag target
+function startDrag(grid, state, e) {
+    const blockEl = e.target.closest('.study-block');
+    if (blockEl) {
+        // Persisted block: move it, or resize it from an edge handle
+        if (blockEl.dataset.editable !== 'true') return null;
+        const block = (state.studyAll || []).find((b) => b.id === blockEl.dataset.blockId);
+        if (!block) return null;
+        const dayIndex = Number(blockEl.dataset.dayIndex);
+        const edge = e.target.closest('.study-block-handle')?.dataset.edge;
+        blockEl.classList.add('study-block-dragging');
+        return {
+            mode: edge ? `resize-${edge}` : 'move',
+            dayIndex,
+            block,
+            el: blockEl,
+            startMin: minuteOfDay(block.start),
+            endMin: endMinuteOfDay(block.end),
+        };
+    }
+
+    const cell = e.target.closest('.time-slot');
+    if (!cell?.dataset.key) return null;
+    const [columnString, hourString] = cell.dataset.key.split('-');
+    const dayIndex = parseInt(columnString, 10);
+    if (Number.isNaN(dayIndex)) return null;
+
+    if (cell.dataset.kind === 'base') {
+        // Base hour: moving it only changes this week
+        const hour = parseInt(hourString, 10);
+        const { start: rangeStart } = visibleRange(state);
+        const slotKey = slotKeyFor(rangeStart, dayIndex, hour);
+        const block = (state.studyBlocks || []).find((b) => b._base && b.start.getTime() === slotKey);
+        if (block) {
+            return {
+                mode: 'move-base',
+                dayIndex,
+                block,
+                startMin: hour * 60,
+                endMin: hour * 60 + 60,
+            };
+        }
+    }
+
+    return { mode: 'draw', dayIndex };
+}
+
+/**
+ * Wires drawing, moving and resizing blocks on the calendar grid once.
+ * A press without moving is left to the normal click handler.
+ *
+ * @param {object} state - App state (calendarView, weekOffset, viewDay, studyAll, studyBlocks).
+ * @param {object} handlers - Each one saves a change and returns a Promise:
+ *   - onDraw(dayLabel, start, end): a new block was drawn
+ *   - onMove(block, start, end): a persisted block was moved or resized
+ *   - onMoveBase(slotKey, start, end): a base hour was dragged away
+ */
+export function attachBlockEditing(state, { onDraw, onMove, onMoveBase }) {
+    const grid = document.getElementById('calendarGrid');
+    if (!grid) return;
+
+    // Mouse only: on touch screens dragging scrolls the page, taps still work
+    grid.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'mouse' || e.button !== 0) return;
+        const started = startDrag(grid, state, e);
+        if (!started) return;
+        e.preventDefault(); // no text selection while dragging
+
+        const anchorMin = minuteAtPointer(grid, started.dayIndex, e.clientY);
+        const draft = document.createElement('div');
+        draft.className = 'study-block study-block-draft d-none';
+        grid.appendChild(draft);
+        drag = { ...started, anchorMin, currentMin: anchorMin, moved: false, draft };
+    });
+
+    document.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        // Only moves can change the day; drawing and resizing stay in their column
+        const moving = drag.mode === 'move' || drag.mode === 'move-base';
+        const dayIndex = moving
+            ? dayAtPointer(grid, e.clientX, visibleRange(state).columns)
+            : drag.dayIndex;
+        const minute = minuteAtPointer(grid, dayIndex, e.clientY);
+        if (minute === drag.currentMin && dayIndex === drag.dayIndex) return;
+        drag.dayIndex = dayIndex;
+        drag.currentMin = minute;
+        drag.moved = true;
+        updateDraft(state);
+    });
+
+    document.addEventListener('pointerup', async () => {
+        if (!drag) return;
+        const { mode, moved, draft, block, el } = drag;
+        const range = moved ? dragRange(state) : null;
+        drag = null;
+        draft.remove();
+        el?.classList.remove('study-block-dragging');
+        if (!moved) return;
+
+        // The click event (if any) comes right after pointerup in the same task
+        suppressClick = true;
+        setTimeout(() => (suppressClick = false), 0);
+
+        if (!range?.valid) return;
+        const unchanged =
+            block &&
+            range.start.getTime() === block.start.getTime() &&
+            range.end.getTime() === block.end.getTime();
+        if (unchanged) return;
+        const dayLabel = WEEKDAY_LABELS[weekdayOf(range.start)];
+
+        try {
+            if (mode === 'draw') await onDraw(dayLabel, range.start, range.end);
+            else if (mode === 'move-base') await onMoveBase(block.start.getTime(), range.start, range.end);
+            else await onMove(block, range.start, range.end);
+        } catch (err) {
+            console.error(`[CAL] ${mode} failed:`, err);
+        }
+    });
+
+    // Capture phase on the grid runs before the delegated handler on #calendar
+    grid.addEventListener('click', (e) => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        e.stopPropagation();
+    }, true);
+}
@@ -2,27 +2,79 @@
 // This module defines shared calendar-related constants and helpers
 // that are reused across the calendar UI (day labels, hour slots,
 // and a function to format hours for display).
+// The visible hours and the first day of the week are user preferences
+// (users/{uid}.calendarPrefs); setCalendarView() applies them, and every
+// module importing DAYS/HOURS sees the new values (ES module live bindings).
 
-// Export a constant array of day labels for the calendar header.
-// The order is Monday through Sunday, and other parts of the app
-// rely on this order to align days with the correct columns.
-export const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+// Weekday labels in storage order: Monday = 0 … Sunday = 6.
+// Base pattern entries ({ weekday, hour }) always use this numbering,
+// whatever day the calendar starts on.
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
-// Export a constant array of hour values for the calendar rows.
-// We want integer hours from 7 (7 AM) up to 23 (11 PM), inclusive,
-// expressed in 24-hour time. We generate this using Array.from:
+// Default view: Monday-first weeks, 7 AM up to midnight
+export const DEFAULT_CALENDAR_PREFS = Object.freeze({
+    startHour: 7, // first hour row (0..23)
+    endHour: 24, // the grid ends at this hour (1..24, after startHour)
+    weekStart: 0, // weekday of the first column (Monday = 0 … Sunday = 6)
+});
+
+// Weekday (Monday = 0) of the first column.
+export let WEEK_START = DEFAULT_CALENDAR_PREFS.weekStart;
+
+// Export an array of day labels for the calendar header, in column order.
+// Column i of the grid is DAYS[i]; with Monday-first weeks this is
+// Monday through Sunday. Other parts of the app rely on this order to
+// align days with the correct columns.
+export let DAYS = [...WEEKDAY_LABELS];
+
+// Export an array of hour values for the calendar rows, in 24-hour time.
+// By default we want integer hours from 7 (7 AM) up to 23 (11 PM), inclusive.
+// We generate this using Array.from:
 //
-// - { length: 17 } creates an "array-like" object with 17 slots.
+// - { length: end - start } creates an "array-like" object with that many slots.
 // - Array.from turns that into an actual array, and also runs the
-//   mapping function for each index from 0 to 16.
-// - The mapping function (_, index) => 7 + index ignores the first
+//   mapping function for each index.
+// - The mapping function (_, index) => start + index ignores the first
 //   parameter (the existing value, which is undefined here) and uses
-//   the index to compute the hour. This yields:
+//   the index to compute the hour. With the defaults this yields:
 //   index 0  -> 7
 //   index 1  -> 8
 //   ...
 //   index 16 -> 23
-export const HOURS = Array.from({ length: 17 }, (_, index) => 7 + index); // [7..23]
+const hourRange = (start, end) => Array.from({ length: end - start }, (_, index) => start + index);
+export let HOURS = hourRange(DEFAULT_CALENDAR_PREFS.startHour, DEFAULT_CALENDAR_PREFS.endHour); // [7..23]
+
+/**
+ * Clean up stored calendar prefs: anything missing or out of range
+ * falls back to the defaults.
+ *
+ * @param {object|null|undefined} prefs - { startHour, endHour, weekStart }
+ * @returns {{startHour: number, endHour: number, weekStart: number}}
+ */
+export function normalizeCalendarPrefs(prefs) {
+    const int = (value, min, max, fallback) =>
+        Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+
+    const startHour = int(prefs?.startHour, 0, 23, DEFAULT_CALENDAR_PREFS.startHour);
+    let endHour = int(prefs?.endHour, 1, 24, DEFAULT_CALENDAR_PREFS.endHour);
+    if (endHour <= startHour) endHour = 24;
+    const weekStart = int(prefs?.weekStart, 0, 6, DEFAULT_CALENDAR_PREFS.weekStart);
+
+    return { startHour, endHour, weekStart };
+}
+
+/**
+ * Apply calendar prefs: updates DAYS, HOURS and WEEK_START.
+ * Callers rebuild the grid afterwards (buildCalendarGrid).
+ *
+ * @param {object|null|undefined} prefs - { startHour, endHour, weekStart }
+ */
+export function setCalendarView(prefs) {
+    const { startHour, endHour, weekStart } = normalizeCalendarPrefs(prefs);
+    WEEK_START = weekStart;
+    DAYS = WEEKDAY_LABELS.map((_, i) => WEEKDAY_LABELS[(weekStart + i) % 7]);
+    HOURS = hourRange(startHour, endHour);
+}
 
 // Export a helper function that formats a 24-hour hour value (0–23)
 // into a 12-hour clock label with an "AM" or "PM" suffix.
@@ -0,0 +1,179 @@
+// calendar/deadlines.js
+// Task deadlines on the calendar, so study time and what's due can be seen
+// together ("Thursday: 3 study hours, 2 things due").
+// - Hour grid (day, week, 2 weeks): each day header with open tasks due
+//   that day gets a marker with the count, coloured by the most urgent one
+//   (urgency from priorityForTask, same bands as the task cards).
+//   Hovering or tapping it opens a popover listing those tasks; each name
+//   links to its card on the Home tab (the Open view is shown and the
+//   filters cleared when they hide it).
+// - Month view: the due task names in each day cell get the same colours
+//   (see paintMonth in grid.js).
+
+import { Popover } from 'bootstrap';
+import { priorityForTask, revealTaskCard } from '../features/tasks/render.js';
+import { urgencyBand } from '../features/tasks/filters.js';
+import { now } from './range.js';
+
+// Popovers of the markers currently drawn (disposed before each repaint)
+let popovers = [];
+
+// Whether the "tap elsewhere closes the popover" listener is attached
+let outsideCloseAttached = false;
+
+/**
+ * Open tasks grouped by due date, most urgent first.
+ *
+ * @param {object} state - Needs tasks (and what priorityForTask reads).
+ * @param {object} plan - planStudyTime result for the same state.
+ * @returns {Map<string, Array<{task: object, urgency: number}>>} Keyed by yyyy-mm-dd.
+ */
+export function dueTasksByDate(state, plan) {
+    const byDate = new Map();
+    for (const task of state.tasks || []) {
+        if (task.completed || !task.dueDate) continue;
+        const { urgency } = priorityForTask(task, state, now, plan);
+        if (!byDate.has(task.dueDate)) byDate.set(task.dueDate, []);
+        byDate.get(task.dueDate).push({ task, urgency });
+    }
+    for (const due of byDate.values()) {
+        due.sort((a, b) => b.urgency - a.urgency);
+    }
+    return byDate;
+}
+
+// CSS class for an urgency level: due-urgency-high / -medium / -low
+export function urgencyClass(urgency) {
+    return `due-urgency-${urgencyBand(urgency)}`;
+}
+
+// Popover body: one link per task (built as elements so the names stay text)
+function popoverContent(due, state, onPick) {
+    const list = document.createElement('ul');
+    list.className = 'list-unstyled mb-0 due-popover-list';
+
+    for (const { task, urgency } of due) {
+        const item = document.createElement('li');
+
+        const dot = document.createElement('span');
+        dot.className = `due-dot ${urgencyClass(urgency)}`;
+        item.appendChild(dot);
+
+        const link = document.createElement('a');
+        link.href = '#home';
+        link.className = 'due-popover-link';
+        link.textContent = task.name;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            onPick();
+            revealTaskCard(state, now, task.id);
+        });
+        item.appendChild(link);
+
+        if (task.dueTime) {
+            const time = document.createElement('small');
+            time.className = 'text-muted ms-1';
+            time.textContent = task.dueTime;
+            item.appendChild(time);
+        }
+
+        list.appendChild(item);
+    }
+    return list;
+}
+
+// The popover element of a shown marker (Bootstrap links it via aria-describedby)
+function tipOf(marker) {
+    const id = marker.getAttribute('aria-describedby');
+    return id ? document.getElementById(id) : null;
+}
+
+/**
+ * Opens on hover (and stays open while the pointer is over the popover,
+ * so its links can be clicked) and on tap/click or keyboard focus.
+ */
+function attachPopover(marker, dateStr, due, state) {
+    const popover = new Popover(marker, {
+        trigger: 'manual',
+        html: true,
+        placement: 'bottom',
+        container: 'body',
+        customClass: 'due-popover',
+        title: new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, {
+            weekday: 'long',
+            month: 'short',
+            day: 'numeric',
+        }),
+        content: popoverContent(due, state, () => popover.hide()),
+    });
+
+    let hideTimer = null;
+    const show = () => {
+        clearTimeout(hideTimer);
+        popover.show();
+    };
+    const hideSoon = () => {
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(() => popover.hide(), 200);
+    };
+
+    marker.addEventListener('mouseenter', show);
+    marker.addEventListener('mouseleave', hideSoon);
+    marker.addEventListener('click', show);
+    marker.addEventListener('focus', show);
+    marker.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') popover.hide();
+    });
+    marker.addEventListener('shown.bs.popover', () => {
+        const tip = tipOf(marker);
+        tip?.addEventListener('mouseenter', show);
+        tip?.addEventListener('mouseleave', hideSoon);
+    });
+    marker.addEventListener('hide.bs.popover', () => clearTimeout(hideTimer));
+
+    return popover;
+}
+
+// Tapping anywhere else closes open popovers (touch has no mouseleave)
+function attachOutsideClose() {
+    if (outsideCloseAttached) return;
+    outsideCloseAttached = true;
+
+    document.addEventListener('pointerdown', (e) => {
+        if (e.target.closest?.('.due-marker, .due-popover')) return;
+        popovers.forEach((p) => p.hide());
+    });
+}
+
+/**
+ * Draws the due markers into the hour grid's day headers
+ * (headers carry their date in data-date, see buildCalendarGrid).
+ *
+ * @param {HTMLElement} grid - #calendarGrid
+ * @param {object} state - App state (the links open task cards from it).
+ * @param {Map} dueByDate - dueTasksByDate() result.
+ */
+export function paintDueMarkers(grid, state, dueByDate) {
+    popovers.forEach((p) => p.dispose());
+    popovers = [];
+    attachOutsideClose();
+
+    grid.querySelectorAll('.day-header[data-date]').forEach((header) => {
+        header.querySelector('.due-marker')?.remove();
+
+        const due = dueByDate.get(header.dataset.date);
+        if (!due?.length) return;
+
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = `due-marker ${urgencyClass(due[0].urgency)}`;
+        marker.textContent = String(due.length);
+        marker.setAttribute(
+            'aria-label',
+            `${due.length} task${due.length === 1 ? '' : 's'} due: ${due.map((d) => d.task.name).join(', ')}`,
+        );
+        header.appendChild(marker);
+
+        popovers.push(attachPopover(marker, header.dataset.date, due, state));
+    });
+}
@@ -1,60 +1,102 @@
 // calendar/grid.js
 // This module is responsible for:
-// 1. Building the static calendar grid structure (headers + cells).
-// 2. Painting study blocks into that grid based on application state.
-// 3. Recomputing which blocks should be visible for the current week.
-
-import { DAYS, HOURS, fmtHour } from './constants.js';
-import { visibleWeekRange, addDays, weekTitleText, slotKeyFor } from './range.js';
+// 1. Building the static calendar grid structure (headers + cells)
+//    for the current view: day, week and 2 weeks share the hour grid,
+//    month uses one cell per day.
+// 2. Painting study blocks and task due markers into that grid based on
+//    application state.
+// 3. Recomputing which blocks should be visible for the current range.
+
+import { HOURS, WEEKDAY_LABELS, fmtHour } from './constants.js';
+import {
+    visibleRange,
+    calendarViewOf,
+    rangeTitleText,
+    weekdayOf,
+    addDays,
+    slotKeyFor,
+    now,
+} from './range.js';
+import { planStudyTime } from '../features/tasks/planner.js';
+import { toDateStr } from '../features/tasks/recurrence.js';
+import { paintStudyBlocks } from './blocks.js';
+import { dueTasksByDate, paintDueMarkers, urgencyClass } from './deadlines.js';
+import { paintNowLine } from './nowLine.js';
 
 /* ---------------------- Build static grid shell ---------------------- */
 /**
- * Build the visual calendar grid for a given week offset.
+ * Build the visual calendar grid for the current view and date.
  *
  * This function:
- * - Locates the calendar grid and week title elements in the DOM.
- * - Computes the visible week based on the provided weekOffset.
- * - Adds a header row (corner + day labels + dates).
- * - Adds a row for each hour, with one "hour-label" cell and
- *   one "time-slot" cell for each day.
+ * - Locates the calendar grid and title elements in the DOM.
+ * - Computes the visible range from state.calendarView and state.weekOffset / viewDay.
+ * - Month view: builds one cell per day (see buildMonthGrid).
+ * - Otherwise adds a header row (corner + day labels + dates) and
+ *   a row for each hour, with one "hour-label" cell and
+ *   one "time-slot" cell for each day column.
  *
  * It does NOT apply "study" styling or labels; that is handled
  * by hydrateCalendarFromState(state).
  *
- * @param {number} weekOffset - How many weeks to shift from the
- *   "current" week (0 = current week, 1 = next week, etc.).
+ * @param {object} state - Needs calendarView, weekOffset and viewDay.
  */
-export function buildCalendarGrid(weekOffset) {
-    // Get references to the grid container and the week title element.
+export function buildCalendarGrid(state) {
+    // Get references to the grid container and the title element.
     const grid = document.getElementById('calendarGrid');
     const title = document.getElementById('calendarWeekTitle');
 
     // If there is no grid element in the DOM, there is nothing to build.
     if (!grid) return;
 
-    // Determine the start date of the visible week, based on the week offset.
-    // visibleWeekRange returns an object like { start, end }.
-    const { start } = visibleWeekRange(weekOffset);
+    // If we have a title element, update its text to reflect the
+    // visible range (e.g., "Nov 17 – Nov 23" or "November 2025").
+    if (title) {
+        title.textContent = rangeTitleText(state);
+    }
+
+    // The date "today" is highlighted for; the now-line ticker rebuilds
+    // the grid once the date changes (see startNowTicker).
+    const today = toDateStr(now());
+    grid.dataset.today = today;
+
+    // Determine the visible range: { start, end, columns, ... }.
+    const range = visibleRange(state);
+    const isMonth = calendarViewOf(state) === 'month';
+    grid.classList.toggle('calendar-grid-month', isMonth);
+
+    if (isMonth) {
+        buildMonthGrid(grid, range);
+        return;
+    }
+
+    // The CSS grid uses this for its column count (1, 7 or 14 days).
+    grid.style.setProperty('--cal-cols', String(range.columns));
+    let todayColumn = -1;
 
     // Build an array of HTML strings for the day headers.
-    // For each day label (e.g., "Mon"), we:
-    // - Compute the actual date by adding the index to the week start.
+    // For each column, we:
+    // - Compute the actual date by adding the index to the range start.
     // - Format that date as a short month + numeric day (e.g., "Nov 17").
     // - Return a div with the day label and the formatted date.
-    const dayHeaderHtmlList = DAYS.map((dayLabel, dayIndex) => {
-        const dateForDay = addDays(start, dayIndex);
+    const dayHeaderHtmlList = [];
+    for (let dayIndex = 0; dayIndex < range.columns; dayIndex++) {
+        const dateForDay = addDays(range.start, dayIndex);
         const monthDayLabel = dateForDay.toLocaleDateString(undefined, {
             month: 'short',
             day: 'numeric',
         });
-
-        return (
-            `<div class="day-header">` +
-            `<div>${dayLabel}</div>` +
+        const dateStr = toDateStr(dateForDay);
+        const todayClass = dateStr === today ? ' day-header-today' : '';
+        if (dateStr === today) todayColumn = dayIndex;
+
+        // data-date: where paintDueMarkers puts the day's due markers
+        dayHeaderHtmlList.push(
+            `<div class="day-header${todayClass}" data-date="${dateStr}">` +
+            `<div>${WEEKDAY_LABELS[weekdayOf(dateForDay)]}</div>` +
             `<small class="text-muted">${monthDayLabel}</small>` +
-            `</div>`
+            `</div>`,
         );
-    });
+    }
 
     // Set the initial contents of the grid:
     // - First, a "corner" cell in the top-left (where row/column labels meet).
@@ -63,10 +105,12 @@ export function buildCalendarGrid(weekOffset) {
         `<div class="corner-cell"></div>` +
         dayHeaderHtmlList.join('');
 
-    // For each hour in our configured HOURS list (7..23),
+    // For each hour in the configured HOURS list (7..23 by default),
     // we add a new row consisting of:
     // - One "hour-label" cell on the left.
-    // - One "time-slot" cell for each day, each with a unique data-key.
+    // - One "time-slot" cell for each day column, each with a unique data-key
+    //   "<column>-<hour>" (columns count from the range start).
+    //   Today's cells get an extra class so the column stands out.
     HOURS.forEach((hour) => {
         // Append the hour label cell (e.g., "7 AM", "8 AM").
         grid.insertAdjacentHTML(
@@ -77,36 +121,96 @@ export function buildCalendarGrid(weekOffset) {
         // For each day, append a time-slot cell corresponding to this
         // day/hour combination. We encode the logical identity for this
         // cell in data-key so we can look it up later.
-        DAYS.forEach((dayLabel) => {
-            const key = `${dayLabel}-${hour}`;
+        for (let dayIndex = 0; dayIndex < range.columns; dayIndex++) {
+            const key = `${dayIndex}-${hour}`;
+            const todayClass = dayIndex === todayColumn ? ' time-slot-today' : '';
             grid.insertAdjacentHTML(
                 'beforeend',
-                `<div class="time-slot" data-key="${key}"></div>`,
+                `<div class="time-slot${todayClass}" data-key="${key}"></div>`,
             );
-        });
+        }
     });
+}
 
-    // If we have a title element, update its text to reflect the
-    // current week (e.g., "Nov 17–23, 2025").
-    if (title) {
-        title.textContent = weekTitleText(weekOffset);
+/**
+ * Month view shell: weekday headers, then one cell per day in whole weeks.
+ * Days outside the month are shown muted. Clicking a day opens it in the
+ * day view (see attachScaffolding in auth/ui.js).
+ */
+function buildMonthGrid(grid, range) {
+    grid.style.setProperty('--cal-cols', '7');
+    const today = grid.dataset.today;
+
+    const headers = [];
+    for (let i = 0; i < 7; i++) {
+        const label = WEEKDAY_LABELS[weekdayOf(addDays(range.start, i))];
+        headers.push(`<div class="day-header">${label}</div>`);
+    }
+
+    const cells = [];
+    for (let i = 0; i < range.days; i++) {
+        const date = addDays(range.start, i);
+        const dateStr = toDateStr(date);
+        const classes = ['month-day'];
+        if (date.getMonth() !== range.month.getMonth()) classes.push('month-day-outside');
+        if (dateStr === today) classes.push('month-day-today');
+        cells.push(
+            `<div class="${classes.join(' ')}" data-date="${dateStr}" role="button" tabindex="0"` +
+            ` aria-label="${date.toLocaleDateString(undefined, { dateStyle: 'full' })}">` +
+            `<div class="month-day-number">${date.getDate()}</div>` +
+            `<div class="month-day-body"></div>` +
+            `</div>`,
+        );
     }
+
+    grid.innerHTML = headers.join('') + cells.join('');
 }
 
 /* ---------------------- Paint from state ---------------------- */
+/**
+ * Pick the planner segment that covers the most of a given slot.
+ *
+ * @param {Array<{start: Date, end: Date, taskId: string, taskName: string}>} segments
+ *   Reserved study time from planStudyTime.
+ * @param {Date} slotStart - Start of the calendar cell.
+ * @param {Date} slotEnd - End of the calendar cell.
+ * @returns {{taskId: string, taskName: string}|null} The task, or null if unreserved.
+ */
+function reservedTaskForSlot(segments, slotStart, slotEnd) {
+    let best = null;
+    let bestMs = 0;
+
+    for (const seg of segments) {
+        // Length of the overlap between this segment and the slot.
+        const overlap =
+            Math.min(seg.end.getTime(), slotEnd.getTime()) -
+            Math.max(seg.start.getTime(), slotStart.getTime());
+
+        if (overlap > bestMs) {
+            best = seg;
+            bestMs = overlap;
+        }
+    }
+
+    return best;
+}
+
 /**
  * Paint the calendar grid based on the current state.
  *
  * This function:
  * - Clears any existing "study" styles and labels from all time slots.
  * - For each day/hour slot, computes its time range.
- * - Finds any study block that overlaps that time.
- * - Styles the slot as "study" (and "study-base" for base schedule blocks).
- * - Inserts a "Study time" label and attaches data attributes
- *   to describe the type of block and its id.
+ * - Finds the base schedule block that overlaps that time, if any.
+ * - Styles the slot as "study study-base".
+ * - Inserts a "Study time" label (or the name of the task the planner
+ *   reserved that hour for) and marks the cell as data-kind="base".
+ * - Draws persisted blocks as single elements spanning their rows
+ *   (see paintStudyBlocks in blocks.js).
+ * In the month view it fills the day cells instead (see paintMonth).
  *
  * @param {object} state - The application state containing:
- *   - weekOffset: current week offset
+ *   - calendarView / weekOffset / viewDay: the visible range
  *   - studyBlocks: array of block objects with start/end Dates,
  *                  optional "id", and optional "_base" flag.
  */
@@ -120,6 +224,22 @@ export function hydrateCalendarFromState(state) {
         noBaseScheduleMsg.style.display = hasBaseSchedule ? 'none' : 'block';
     }
 
+    // Work out which task each piece of study time is reserved for,
+    // so the label can show the task name instead of a generic "Study time".
+    const plan = planStudyTime(state, now);
+    const { segments } = plan;
+
+    // Open tasks per due date, with their urgency (for the markers' colours).
+    // Markers go in the hour grid's day headers; the month view has none
+    // and lists the names in its day cells instead.
+    const dueByDate = dueTasksByDate(state, plan);
+    paintDueMarkers(grid, state, dueByDate);
+
+    if (calendarViewOf(state) === 'month') {
+        paintMonth(grid, state, dueByDate);
+        return;
+    }
+
     // First, clear any previous styling, labels, or metadata from
     // all time-slot elements so we can repaint from scratch.
     grid.querySelectorAll('.time-slot').forEach((slotElement) => {
@@ -136,16 +256,17 @@ export function hydrateCalendarFromState(state) {
         // that we might have attached earlier.
         delete slotElement.dataset.kind;
         delete slotElement.dataset.blockId;
+        delete slotElement.dataset.taskId;
     });
 
-    // Determine the start of the currently visible week.
-    const { start: weekStart } = visibleWeekRange(state.weekOffset);
+    // Determine the start of the visible range and how many day columns it has.
+    const { start: rangeStart, columns } = visibleRange(state);
 
-    // For each day index (0..DAYS.length-1) and each hour, find out
+    // For each day column (0..columns-1) and each hour, find out
     // whether any study block overlaps that slot and, if so, mark it.
-    for (let dayIndex = 0; dayIndex < DAYS.length; dayIndex++) {
+    for (let dayIndex = 0; dayIndex < columns; dayIndex++) {
         for (const hour of HOURS) {
-            const key = `${DAYS[dayIndex]}-${hour}`;
+            const key = `${dayIndex}-${hour}`;
 
             // Find the specific time-slot element corresponding to this
             // day/hour cell using the same data-key pattern used when
@@ -157,73 +278,124 @@ export function hydrateCalendarFromState(state) {
 
             // Compute the numeric timestamp for the start of this slot
             // using the helper from range.js.
-            const slotStartMs = slotKeyFor(weekStart, dayIndex, hour);
+            const slotStartMs = slotKeyFor(rangeStart, dayIndex, hour);
 
             // Create Date objects for the slot's start and end.
             const slotStart = new Date(slotStartMs);
             const slotEnd = new Date(slotStartMs + 60 * 60 * 1000); // + 1 hour
 
-            // Find the first study block whose time interval overlaps
+            // Find the base block whose time interval overlaps
             // this slot's interval. The overlap condition is:
             //   block.start < slotEnd AND block.end > slotStart
             // which means there is at least some non-zero intersection.
+            // Persisted blocks are drawn separately by paintStudyBlocks.
             const block =
                 (state.studyBlocks || []).find(
-                    (b) => b.start < slotEnd && b.end > slotStart,
+                    (b) => b._base === true && b.start < slotEnd && b.end > slotStart,
                 );
 
-            // If no block overlaps this time slot, we leave the cell blank.
+            // If no base block overlaps this time slot, we leave the cell blank.
             if (!block) continue;
 
-            // Determine whether this block is part of the base study schedule
-            // or a persisted (user-created) block.
-            const isBase = block._base === true;
-
-            // Mark the cell as a study slot.
-            slotElement.classList.add('study');
-
-            // If it is part of the base schedule, add an extra class
-            // for different styling (e.g., different color).
-            if (isBase) {
-                slotElement.classList.add('study-base');
-            }
+            // Mark the cell as a base schedule study slot
+            // (the extra class gives it a different color).
+            slotElement.classList.add('study', 'study-base');
 
             // Create a label element to show within the slot.
             const label = document.createElement('span');
             label.className = 'study-label';
 
-            // Use innerHTML instead of textContent so the <br> is interpreted
-            // as a line break between "Study" and "time".
-            label.innerHTML = 'Study<br>time';
-
-            // Provide a tooltip describing whether this is part of the base
-            // schedule or just a normal study block.
-            label.title = isBase ? 'Base schedule' : 'Study time';
+            // Find the task that got the biggest share of this hour from the planner.
+            const reserved = reservedTaskForSlot(segments, slotStart, slotEnd);
+
+            if (reserved) {
+                // Show the task name; textContent keeps user input from being parsed as HTML.
+                label.textContent = reserved.taskName;
+                label.classList.add('study-label-task');
+                label.title = `Reserved for ${reserved.taskName}`;
+                slotElement.dataset.taskId = reserved.taskId;
+            } else {
+                // Use innerHTML instead of textContent so the <br> is interpreted
+                // as a line break between "Study" and "time".
+                label.innerHTML = 'Study<br>time';
+
+                // Tooltip: this hour comes from the base schedule.
+                label.title = 'Base schedule';
+            }
 
             // Append the label into the slot cell.
             slotElement.appendChild(label);
 
             // Attach metadata about what kind of block this is.
-            slotElement.dataset.kind = isBase ? 'base' : 'persisted';
-
-            // For persisted blocks, store the block's id (if it exists) so
-            // that click handlers can identify which block is being clicked.
-            if (!isBase && block.id) {
-                slotElement.dataset.blockId = block.id;
-            }
+            slotElement.dataset.kind = 'base';
         }
     }
+
+    // Persisted blocks: one element per block (per day it covers).
+    paintStudyBlocks(grid, state, segments);
+
+    // Current time across today's column.
+    paintNowLine(grid, state);
 }
 
-/* ---------------------- Recompute visible-week blocks ---------------------- */
 /**
- * Recompute which study blocks are visible for the current week
- * and repaint the calendar grid accordingly.
+ * Fill the month view's day cells: hours of study time that day and the
+ * open tasks due that day (a few names, most urgent first, then "+N more").
+ *
+ * @param {HTMLElement} grid - #calendarGrid in month layout.
+ * @param {object} state - Needs studyBlocks (the visible range).
+ * @param {Map} dueByDate - dueTasksByDate() result.
+ */
+function paintMonth(grid, state, dueByDate) {
+    grid.querySelectorAll('.month-day').forEach((cell) => {
+        const body = cell.querySelector('.month-day-body');
+        if (!body) return;
+        body.innerHTML = '';
+
+        const dayStart = new Date(`${cell.dataset.date}T00:00:00`);
+        const dayEnd = addDays(dayStart, 1);
+
+        // Study minutes that day (blocks are already merged, so no double counting)
+        let minutes = 0;
+        for (const b of state.studyBlocks || []) {
+            const overlap = Math.min(b.end, dayEnd) - Math.max(b.start, dayStart);
+            if (overlap > 0) minutes += overlap / 60000;
+        }
+        if (minutes > 0) {
+            const study = document.createElement('div');
+            study.className = 'month-study';
+            study.textContent = `${+(minutes / 60).toFixed(2)}h study`;
+            body.appendChild(study);
+        }
+
+        const due = dueByDate.get(cell.dataset.date) || [];
+        for (const { task: t, urgency } of due.slice(0, 3)) {
+            const item = document.createElement('div');
+            item.className = `month-due ${urgencyClass(urgency)}`;
+            // textContent keeps task names from being parsed as HTML
+            item.textContent = t.name;
+            item.title = `Due: ${t.name}`;
+            body.appendChild(item);
+        }
+        if (due.length > 3) {
+            const more = document.createElement('div');
+            more.className = 'month-due-more';
+            more.textContent = `+${due.length - 3} more`;
+            body.appendChild(more);
+        }
+    });
+}
+
+/* ---------------------- Recompute visible-range blocks ---------------------- */
+/**
+ * Recompute which study blocks are visible for the current range
+ * (day, week, 2 weeks or month) and repaint the calendar grid accordingly.
+ * (Named after the original week-only calendar.)
  *
  * This function:
- * - Uses state.weekOffset to get the visible week range.
- * - Selects those persisted blocks that overlap the visible week.
- * - Generates base-schedule blocks for this week, applying user
+ * - Uses visibleRange(state) to get the visible range.
+ * - Selects those persisted blocks that overlap the visible range.
+ * - Generates base-schedule blocks for each day in it, applying user
  *   exclusions from state.baseExclusions.
  * - Merges persisted and base blocks, with persisted taking
  *   priority over base where they overlap.
@@ -236,19 +408,17 @@ export function hydrateCalendarFromState(state) {
  * @param {function} [after] - Optional callback invoked after repaint.
  */
 export function refilterVisibleWeek(state, after = () => { }) {
-    // Determine the start and end of the visible week.
-    const { start: weekStart, end: weekEnd } = visibleWeekRange(
-        state.weekOffset,
-    );
+    // Determine the start and end of the visible range.
+    const { start: rangeStart, end: rangeEnd, days } = visibleRange(state);
 
-    // 1) Persisted study blocks that intersect the visible week.
+    // 1) Persisted study blocks that intersect the visible range.
     // We start from state.studyAll (all persisted blocks) and filter
-    // to only those that overlap [weekStart, weekEnd).
+    // to only those that overlap [rangeStart, rangeEnd).
     const persisted = (state.studyAll || []).filter(
-        (b) => b.start < weekEnd && b.end > weekStart,
+        (b) => b.start < rangeEnd && b.end > rangeStart,
     );
 
-    // 2) Base-derived blocks for this week.
+    // 2) Base-derived blocks for every day in the range.
     // We compute blocks from the baseStudyPattern and then apply
     // exclusions stored in state.baseExclusions.
     const exclusions =
@@ -259,41 +429,47 @@ export function refilterVisibleWeek(state, after = () => { }) {
     const base = [];
 
     // baseStudyPattern is expected to be an array of objects like:
-    // { weekday: 0..6, hour: 7..23 }.
-    for (const patternEntry of state.baseStudyPattern || []) {
-        // Safely destructure weekday and hour from each entry.
-        const { weekday, hour } = patternEntry || {};
-
-        // Skip if weekday or hour are missing (null or undefined).
-        if (weekday == null || hour == null) continue;
-
-        // Compute a unique slotKey for this week/day/hour.
-        // This is typically a millisecond timestamp representing
-        // the start of that hour in this particular week.
-        const slotKey = slotKeyFor(weekStart, weekday, hour);
-
-        // If the user has explicitly excluded this slot from the base
-        // schedule (e.g., via the base schedule modal), skip it.
-        if (exclusions.has(slotKey)) continue;
-
-        // Create Date objects for the slot's start and end (1 hour long).
-        const startDate = new Date(slotKey);
-        const endDate = new Date(slotKey + 60 * 60 * 1000);
-
-        // If this block does not intersect the visible week at all,
-        // skip it. This is a safety check in case the base pattern
-        // includes slots outside the visible range.
-        if (endDate <= weekStart || startDate >= weekEnd) continue;
-
-        // Add the base block to our list. We mark it with _base: true
-        // so that downstream code can treat it as a base schedule item.
-        base.push({
-            id: `base-${slotKey}`,
-            title: 'Study',
-            start: startDate,
-            end: endDate,
-            _base: true,
-        });
+    // { weekday: 0..6 (Monday = 0), hour: 0..23 }.
+    for (let dayOffset = 0; dayOffset < days; dayOffset++) {
+        // The pattern counts weekdays from Monday; the range may start on any day.
+        const weekdayOfDay = weekdayOf(addDays(rangeStart, dayOffset));
+
+        for (const patternEntry of state.baseStudyPattern || []) {
+            // Safely destructure weekday and hour from each entry.
+            const { weekday, hour } = patternEntry || {};
+
+            // Skip if weekday or hour are missing (null or undefined),
+            // or if the entry is for another day of the week.
+            if (weekday == null || hour == null || weekday !== weekdayOfDay) continue;
+
+            // Compute a unique slotKey for this day/hour.
+            // This is typically a millisecond timestamp representing
+            // the start of that hour on this particular day.
+            const slotKey = slotKeyFor(rangeStart, dayOffset, hour);
+
+            // If the user has explicitly excluded this slot from the base
+            // schedule (e.g., via the base schedule modal), skip it.
+            if (exclusions.has(slotKey)) continue;
+
+            // Create Date objects for the slot's start and end (1 hour long).
+            const startDate = new Date(slotKey);
+            const endDate = new Date(slotKey + 60 * 60 * 1000);
+
+            // If this block does not intersect the visible range at all,
+            // skip it. This is a safety check in case the base pattern
+            // includes slots outside the visible range.
+            if (endDate <= rangeStart || startDate >= rangeEnd) continue;
+
+            // Add the base block to our list. We mark it with _base: true
+            // so that downstream code can treat it as a base schedule item.
+            base.push({
+                id: `base-${slotKey}`,
+                title: 'Study',
+                start: startDate,
+                end: endDate,
+                _base: true,
+            });
+        }
     }
 
     // 3) Persisted blocks take priority over base blocks when they overlap.
@@ -7,7 +7,7 @@
 // - Clearing and saving the pattern, and updating the main calendar.
 
 import { Modal } from 'bootstrap';
-import { DAYS, HOURS, fmtHour } from './constants.js';
+import { DAYS, HOURS, WEEKDAY_LABELS, fmtHour } from './constants.js';
 import { refilterVisibleWeek } from './grid.js';
 import { saveBasePattern } from '../services/firestore.js';
 
@@ -16,7 +16,8 @@ import { saveBasePattern } from '../services/firestore.js';
  *
  * This grid:
  * - Has a corner cell, weekday headers, and hour labels.
- * - Uses the same DAYS and HOURS configuration as the main calendar.
+ * - Uses the same DAYS and HOURS configuration as the main calendar
+ *   (the user's first day of week and visible hours).
  * - Does NOT show any date range or week title (modal-only).
  *
  * @param {HTMLElement|null} gridElement - The container for the modal grid.
@@ -75,9 +76,11 @@ function hydrateBaseGridFromPattern(pattern, gridElement) {
         slotElement.querySelector('.study-label')?.remove();
     });
 
-    // Apply the base pattern. Each entry represents a weekday/hour pair.
+    // Apply the base pattern. Each entry represents a weekday/hour pair
+    // (weekday counts from Monday, so it maps to a label, not a column).
+    // Hours outside the visible range have no cell and are skipped.
     for (const { weekday, hour } of pattern || []) {
-        const key = `${DAYS[weekday]}-${hour}`;
+        const key = `${WEEKDAY_LABELS[weekday]}-${hour}`;
         const slotElement = gridElement.querySelector(
             `.time-slot[data-key="${key}"]`,
         );
@@ -107,7 +110,8 @@ function hydrateBaseGridFromPattern(pattern, gridElement) {
  * @param {number} hour - An hour in 24-hour format (e.g., 7, 13).
  */
 function togglePatternCell(state, dayLabel, hour) {
-    const weekday = DAYS.indexOf(dayLabel);
+    // Stored weekdays count from Monday, whatever the first column is.
+    const weekday = WEEKDAY_LABELS.indexOf(dayLabel);
     if (weekday < 0) return; // invalid day label, nothing to do
 
     // Ensure baseStudyPattern is initialized as an array.
@@ -0,0 +1,71 @@
+// calendar/nowLine.js
+// Current-time indicator on the hour grid (day, week and 2-week views):
+// a line across today's column at the current time, moved every 30 seconds.
+// Today's column itself is highlighted by buildCalendarGrid. Both follow the
+// offset-aware now() from range.js, so a test clock offset moves them too.
+// When the date changes (past midnight) the whole grid is rebuilt, since
+// the highlighted day and, while showing today, the visible range move.
+
+import { HOURS } from './constants.js';
+import { visibleRange, now } from './range.js';
+import { placeBlockElement } from './blocks.js';
+import { toDateStr } from '../features/tasks/recurrence.js';
+
+const TICK_MS = 30 * 1000;
+
+// Interval id of the running ticker (started once)
+let tickId = null;
+
+// Column of a date in the visible range, or -1 when it isn't shown
+function columnOf(date, rangeStart, columns) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    // Rounded: a DST change makes one day 23 or 25 hours long
+    const index = Math.round((day - rangeStart) / (24 * 60 * 60 * 1000));
+    return index >= 0 && index < columns ? index : -1;
+}
+
+/**
+ * Draws (or moves) the current-time line. Nothing is drawn when today
+ * isn't visible or the time is outside the grid's hours.
+ *
+ * @param {HTMLElement} grid - #calendarGrid
+ * @param {object} state - Needs calendarView, weekOffset and viewDay.
+ */
+export function paintNowLine(grid, state) {
+    grid.querySelector('.now-line')?.remove();
+
+    const current = now();
+    const { start, columns } = visibleRange(state);
+    const dayIndex = columnOf(current, start, columns);
+    if (dayIndex < 0) return;
+
+    const minute = current.getHours() * 60 + current.getMinutes();
+    if (minute < HOURS[0] * 60 || minute >= (HOURS[HOURS.length - 1] + 1) * 60) return;
+
+    const line = document.createElement('div');
+    line.className = 'now-line';
+    line.setAttribute('aria-hidden', 'true');
+    placeBlockElement(line, dayIndex, minute, minute);
+    grid.appendChild(line);
+}
+
+/**
+ * Keeps the line moving. onDayChange runs once the date differs from the
+ * one the grid was built for (grid.dataset.today, set by buildCalendarGrid)
+ * and should rebuild and repaint the calendar.
+ */
+export function startNowTicker(state, onDayChange) {
+    if (tickId !== null) return;
+
+    tickId = setInterval(() => {
+        const grid = document.getElementById('calendarGrid');
+        if (!grid) return;
+
+        if (grid.dataset.today !== toDateStr(now())) {
+            onDayChange();
+            return;
+        }
+        if (!grid.classList.contains('calendar-grid-month')) paintNowLine(grid, state);
+    }, TICK_MS);
+}
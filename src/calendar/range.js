@@ -3,6 +3,8 @@
 // These functions define how "now", weeks, and hour slots are computed
 // across the app, including test-time clock offsetting.
 
+import { WEEK_START } from './constants.js';
+
 // A module-level offset (in milliseconds) applied to the real system time.
 // This is useful for testing: you can simulate that "now" is in a different
 // week without changing the actual system clock.
@@ -29,15 +31,18 @@ export function now() {
 }
 
 /**
- * Compute Monday at 00:00:00.000 (local time) for the week containing "d".
+ * Compute the first day of the week (00:00:00.000 local time) for the
+ * week containing "d". Weeks start on the user's chosen day
+ * (WEEK_START, Monday by default).
  *
  * If no argument is provided, "d" defaults to the current offset-aware now().
  *
  * @param {Date|number|string} [d=now()] - A date-like value (Date, timestamp, etc.).
- * @returns {Date} A new Date object representing the local Monday at midnight
- *   for that week.
+ * @param {number} [weekStart=WEEK_START] - First weekday (Monday = 0 … Sunday = 6).
+ * @returns {Date} A new Date object representing the first day of that week
+ *   at local midnight.
  */
-export function startOfWeekLocal(d = now()) {
+export function startOfWeekLocal(d = now(), weekStart = WEEK_START) {
     // Clone the input so we do not mutate the original Date.
     const x = new Date(d);
 
@@ -52,8 +57,8 @@ export function startOfWeekLocal(d = now()) {
     // Reset time to midnight in local time.
     x.setHours(0, 0, 0, 0);
 
-    // Move backwards "day" days to land on Monday.
-    x.setDate(x.getDate() - day);
+    // Move backwards to land on the first day of the week.
+    x.setDate(x.getDate() - ((day - weekStart + 7) % 7));
 
     return x;
 }
@@ -85,18 +90,17 @@ export function addWeeks(d, n) {
 }
 
 /**
- * Compute the start and end of the visible week in local time,
- * optionally shifted by a week offset.
+ * Compute the visible week range based on a week offset relative to "now".
  *
- * - weekOffset = 0: this week (based on offset-aware now()).
- * - weekOffset = 1: next week.
- * - weekOffset = -1: previous week.
+ * - weekOffset = 0  → current week (the week containing now()).
+ * - weekOffset = 1  → next week.
+ * - weekOffset = -1 → previous week.
  *
- * The returned interval is [start, end), where:
- * - start = Monday 00:00 local for the visible week.
- * - end   = Monday 00:00 local for the following week.
+ * The range is [start, end), where:
+ * - start is the first day of the target week at 00:00 local.
+ * - end is exactly 7 days after start (the first day of the following week).
  *
- * @param {number} [weekOffset=0] - Number of weeks to shift from the current week.
+ * @param {number} [weekOffset=0] - Number of weeks away from the current week.
  * @returns {{start: Date, end: Date}} Object containing the start and end Dates.
  */
 export function visibleWeekRange(weekOffset = 0) {
@@ -135,13 +139,15 @@ export function weekTitleText(weekOffset = 0) {
  * Monday-based week identifier in local time.
  *
  * Given a date-like value, this function finds the Monday of that week
- * (using startOfWeekLocal) and returns its date in "YYYY-MM-DD" form.
+ * and returns its date in "YYYY-MM-DD" form. This stays Monday-based
+ * whatever day the calendar starts on, because base exclusions are stored
+ * per Monday week (a Sunday-first view spans two of them).
  *
  * @param {Date|number|string} dateLike - A date-like value for which we want the week id.
  * @returns {string} A string "YYYY-MM-DD" representing the local Monday of that week.
  */
 export function isoWeekId(dateLike) {
-    const monday = startOfWeekLocal(dateLike);
+    const monday = startOfWeekLocal(dateLike, 0);
 
     const year = monday.getFullYear();
     const month = String(monday.getMonth() + 1).padStart(2, '0'); // months are 0-based
@@ -154,11 +160,12 @@ export function isoWeekId(dateLike) {
  * Compute a deterministic hour-slot key in local time.
  *
  * This is used as a unique identifier for a specific hour of a
- * specific weekday in a given week.
+ * specific day in a given week.
  *
- * - weekStart must be Monday 00:00 local for the visible week
- *   (typically visibleWeekRange(...).start).
- * - weekday is an integer 0..6, where 0 = Monday and 6 = Sunday.
+ * - weekStart must be the first day (00:00 local) of the visible range
+ *   (typically visibleRange(state).start).
+ * - dayOffset is the number of days after weekStart, i.e. the grid
+ *   column (0..13 in the 2-week view).
  * - hour is an integer 0..23 in 24-hour time.
  *
  * The returned value is the millisecond timestamp (Number) for the
@@ -167,17 +174,17 @@ export function isoWeekId(dateLike) {
  * - As keys in Sets (e.g., baseExclusions).
  * - To reconstruct Date objects when painting the calendar.
  *
- * @param {Date} weekStart - Monday 00:00 local for the relevant week.
- * @param {number} weekday - 0..6 (0 = Monday, 6 = Sunday).
+ * @param {Date} weekStart - First day (00:00 local) of the relevant week.
+ * @param {number} dayOffset - Days after weekStart.
  * @param {number} hour - 0..23 (24-hour clock).
  * @returns {number} Milliseconds since epoch for that slot's start time.
  */
-export function slotKeyFor(weekStart, weekday, hour) {
+export function slotKeyFor(weekStart, dayOffset, hour) {
     // Clone weekStart to avoid mutating the caller's Date.
     const slotStart = new Date(weekStart);
 
-    // Move forward "weekday" days from Monday to get the right weekday.
-    slotStart.setDate(weekStart.getDate() + weekday);
+    // Move forward "dayOffset" days from the week start to get the right day.
+    slotStart.setDate(weekStart.getDate() + dayOffset);
 
     // Set the local time to the requested hour, with minutes/seconds/ms zeroed.
     slotStart.setHours(hour, 0, 0, 0);
@@ -185,3 +192,135 @@ export function slotKeyFor(weekStart, weekday, hour) {
     // Return the underlying timestamp as our slot key.
     return slotStart.getTime();
 }
+
+/* ------------------------------------------------------------------ */
+/* Calendar views: day, week, 2 weeks, month                          */
+/* ------------------------------------------------------------------ */
+
+// The views the switcher offers. "columns" is how many day columns the
+// time grid shows (month uses its own day-cell layout instead).
+export const CALENDAR_VIEWS = {
+    day: { label: 'Day', columns: 1 },
+    week: { label: 'Week', columns: 7 },
+    '2week': { label: '2 weeks', columns: 14 },
+    month: { label: 'Month', columns: 0 },
+};
+
+export const DEFAULT_CALENDAR_VIEW = 'week';
+
+// The view in use (unknown values fall back to the week view).
+export function calendarViewOf(state) {
+    return CALENDAR_VIEWS[state.calendarView] ? state.calendarView : DEFAULT_CALENDAR_VIEW;
+}
+
+// Whole days from "from" to "to" (rounded: a DST change makes one day 23 or 25 hours long)
+function daysBetween(from, to) {
+    return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Where a date sits relative to the current week, as the calendar stores
+ * its position: state.weekOffset (weeks away from now's week, as in
+ * visibleWeekRange) and state.viewDay (days after that week's first day).
+ *
+ * @param {Date|number|string} date - A date-like value.
+ * @returns {{weekOffset: number, viewDay: number}}
+ */
+export function calendarPositionOf(date) {
+    const weekOffset = Math.round(daysBetween(startOfWeekLocal(), startOfWeekLocal(date)) / 7);
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return { weekOffset, viewDay: daysBetween(visibleWeekRange(weekOffset).start, day) };
+}
+
+/**
+ * The day the calendar is showing: day state.viewDay of the visible week
+ * (visibleWeekRange(state.weekOffset)). An unset viewDay means today's
+ * weekday. The day and month views are derived from it.
+ *
+ * @param {object} state - Needs weekOffset and viewDay (number or null).
+ * @returns {Date} A new Date (local midnight).
+ */
+export function viewAnchor(state) {
+    const { start } = visibleWeekRange(state.weekOffset);
+    const day = state.viewDay ?? calendarPositionOf(now()).viewDay;
+    return addDays(start, day);
+}
+
+// Local midnight on the first of the month containing "d"
+function startOfMonth(d) {
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+}
+
+/**
+ * Range shown by the calendar for the current view and position.
+ *
+ * - day:   the anchor day (viewAnchor).
+ * - week:  visibleWeekRange(state.weekOffset).
+ * - 2week: that week and the next one.
+ * - month: whole weeks covering the anchor's month, so the month grid
+ *          has complete rows (days of the neighbouring months included).
+ *
+ * @param {object} state - Needs calendarView, weekOffset and viewDay.
+ * @returns {{start: Date, end: Date, days: number, columns: number, month: Date|null}}
+ *   [start, end) in local time, how many days that is, how many time-grid
+ *   columns the view has (0 for month) and, for the month view, the first
+ *   of the month being shown.
+ */
+export function visibleRange(state) {
+    const view = calendarViewOf(state);
+
+    if (view === 'month') {
+        const month = startOfMonth(viewAnchor(state));
+        const nextMonth = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+        const start = startOfWeekLocal(month);
+        const end = addDays(startOfWeekLocal(addDays(nextMonth, -1)), 7);
+        return { start, end, days: daysBetween(start, end), columns: 0, month };
+    }
+
+    const { columns } = CALENDAR_VIEWS[view];
+    const start = view === 'day' ? viewAnchor(state) : visibleWeekRange(state.weekOffset).start;
+    return { start, end: addDays(start, columns), days: columns, columns, month: null };
+}
+
+/**
+ * The position one step back (dir = -1) or forward (dir = 1) in the
+ * current view: a day, a week, two weeks or a month.
+ *
+ * @returns {{weekOffset: number, viewDay: number|null}} New weekOffset and viewDay.
+ */
+export function shiftedPosition(state, dir) {
+    const view = calendarViewOf(state);
+    if (view === 'week' || view === '2week') {
+        return { weekOffset: state.weekOffset + dir * (CALENDAR_VIEWS[view].columns / 7), viewDay: state.viewDay };
+    }
+    const anchor = viewAnchor(state);
+    if (view === 'month') {
+        return calendarPositionOf(new Date(anchor.getFullYear(), anchor.getMonth() + dir, 1));
+    }
+    return calendarPositionOf(addDays(anchor, dir));
+}
+
+/**
+ * Title for the visible range, e.g. "Mon, Nov 17", "Nov 17 – Nov 30"
+ * or "November 2025".
+ */
+export function rangeTitleText(state) {
+    const view = calendarViewOf(state);
+    const { start, end, month } = visibleRange(state);
+
+    if (view === 'month') {
+        return month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    if (view === 'day') {
+        return start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    if (view === 'week') return weekTitleText(state.weekOffset);
+    const opt = { month: 'short', day: 'numeric' };
+    return `${start.toLocaleDateString(undefined, opt)} – ${addDays(end, -1).toLocaleDateString(undefined, opt)}`;
+}
+
+// Weekday of a date with Monday = 0 … Sunday = 6 (base pattern numbering)
+export function weekdayOf(date) {
+    return (date.getDay() + 6) % 7;
+}
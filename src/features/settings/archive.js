@@ -0,0 +1,44 @@
+// features/settings/archive.js
+
+// "Completed tasks" section of the Settings tab.
+// Completed tasks can be archived automatically a number of days after they
+// were completed. The value lives on the user doc (archiveAfterDays) and
+// comes back into state.archiveAfterDays through watchUserPrefs.
+
+import { saveArchiveAfterDays } from "../../services/firestore.js";
+
+/**
+ * Shows (or clears) the error line under the archive setting
+ */
+function showError(msg) {
+  const errBox = document.getElementById("archiveSettingsError");
+  if (errBox) errBox.textContent = msg || "";
+}
+
+/**
+ * Copies the saved value into the select ("" = never).
+ * Called whenever the user doc snapshot changes.
+ */
+export function fillArchiveSettingsForm(days) {
+  const select = document.getElementById("archiveAfterDays");
+  if (select) select.value = days ? String(days) : "";
+}
+
+/**
+ * Saves the setting as soon as a new option is picked.
+ */
+export function attachArchiveSettings() {
+  const select = document.getElementById("archiveAfterDays");
+  if (!select) return;
+
+  select.addEventListener("change", async () => {
+    const days = select.value ? parseInt(select.value, 10) : null;
+    try {
+      await saveArchiveAfterDays(days);
+      showError("");
+    } catch (err) {
+      console.error("[SETTINGS] save archive setting failed:", err);
+      showError("Could not save your archive setting.");
+    }
+  });
+}
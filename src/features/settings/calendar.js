@@ -0,0 +1,88 @@
+// features/settings/calendar.js
+
+// "Calendar" section of the Settings tab.
+// The visible hours and the first day of the week are stored on the user doc
+// (calendarPrefs) and come back through watchUserPrefs, which applies them
+// to the week grid and the base schedule grid (see setCalendarView).
+
+import { saveCalendarPrefs } from "../../services/firestore.js";
+import { fmtHour, WEEKDAY_LABELS } from "../../calendar/constants.js";
+
+const FULL_DAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+/**
+ * Shows (or clears) the error line under the calendar settings
+ */
+function showError(msg) {
+  const errBox = document.getElementById("calendarSettingsError");
+  if (errBox) errBox.textContent = msg || "";
+}
+
+// Fills the hour and weekday selects once
+function buildOptions() {
+  const startSelect = document.getElementById("calendarStartHour");
+  const endSelect = document.getElementById("calendarEndHour");
+  const weekSelect = document.getElementById("calendarWeekStart");
+
+  if (startSelect) {
+    startSelect.innerHTML = Array.from({ length: 24 }, (_, h) =>
+      `<option value="${h}">${fmtHour(h)}</option>`
+    ).join("");
+  }
+  if (endSelect) {
+    // The grid ends at this hour; 24 = midnight at the end of the day
+    endSelect.innerHTML = Array.from({ length: 24 }, (_, i) => i + 1)
+      .map((h) => `<option value="${h}">${h === 24 ? "Midnight" : fmtHour(h)}</option>`)
+      .join("");
+  }
+  if (weekSelect) {
+    weekSelect.innerHTML = WEEKDAY_LABELS.map(
+      (_, weekday) => `<option value="${weekday}">${FULL_DAY_NAMES[weekday]}</option>`
+    ).join("");
+  }
+}
+
+/**
+ * Copies the saved prefs into the selects.
+ * Called whenever the user doc snapshot changes (prefs are already normalized).
+ */
+export function fillCalendarSettingsForm({ startHour, endHour, weekStart }) {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = String(value);
+  };
+  set("calendarStartHour", startHour);
+  set("calendarEndHour", endHour);
+  set("calendarWeekStart", weekStart);
+}
+
+/**
+ * Saves the prefs as soon as one of the selects changes.
+ */
+export function attachCalendarSettings() {
+  buildOptions();
+
+  const ids = ["calendarStartHour", "calendarEndHour", "calendarWeekStart"];
+  const read = (id) => parseInt(document.getElementById(id)?.value ?? "", 10);
+
+  for (const id of ids) {
+    document.getElementById(id)?.addEventListener("change", async () => {
+      const prefs = {
+        startHour: read("calendarStartHour"),
+        endHour: read("calendarEndHour"),
+        weekStart: read("calendarWeekStart"),
+      };
+      if (prefs.endHour <= prefs.startHour) {
+        showError("The calendar has to end after it starts.");
+        return;
+      }
+      try {
+        await saveCalendarPrefs(prefs);
+        showError("");
+      } catch (err) {
+        console.error("[SETTINGS] save calendar prefs failed:", err);
+        showError(err?.message || "Could not save your calendar settings.");
+      }
+    });
+  }
+}
@@ -0,0 +1,125 @@
+// features/settings/courses.js
+
+// "Courses" section of the Settings tab.
+// Each user keeps their own list of courses (name + colour) on the user doc:
+//   users/{uid}.courses = [{ id, name, color }]
+// Tasks point at a course with task.courseId.
+
+import { saveCourses } from "../../services/firestore.js";
+
+// Colour offered for a new course (cycles through a small palette)
+const PALETTE = ["#0d6efd", "#6f42c1", "#d63384", "#fd7e14", "#20c997", "#0dcaf0", "#6c757d"];
+
+/**
+ * Finds a course by id in state.courses (null when missing or deleted)
+ */
+export function courseById(state, id) {
+  if (!id) return null;
+  return (state.courses || []).find((c) => c.id === id) ?? null;
+}
+
+/**
+ * Shows (or clears) the error line under the courses form
+ */
+function showError(msg) {
+  const errBox = document.getElementById("courseSettingsError");
+  if (errBox) errBox.textContent = msg || "";
+}
+
+/**
+ * Fills the "Course" select in the task form with the user's courses.
+ * Keeps the current selection when it still exists.
+ */
+export function fillCourseOptions(courses) {
+  const select = document.getElementById("taskCourse");
+  if (!select) return;
+  const current = select.value;
+
+  select.innerHTML = `<option value="">No course</option>`;
+  for (const c of courses || []) {
+    const opt = document.createElement("option");
+    opt.value = c.id;
+    opt.textContent = c.name;
+    select.appendChild(opt);
+  }
+  select.value = (courses || []).some((c) => c.id === current) ? current : "";
+}
+
+/**
+ * Draws the list of courses in Settings, each with a colour picker
+ * and a remove button. Changes are saved straight away.
+ */
+export function renderCourseSettings(state) {
+  const list = document.getElementById("courseList");
+  if (!list) return;
+
+  const courses = state.courses || [];
+  list.innerHTML = "";
+
+  if (!courses.length) {
+    list.innerHTML = `<li class="list-group-item text-muted small">No courses yet.</li>`;
+  }
+
+  for (const course of courses) {
+    const li = document.createElement("li");
+    li.className = "list-group-item d-flex align-items-center gap-2";
+    li.innerHTML = `
+      <input type="color" class="form-control form-control-color form-control-sm course-color"
+        aria-label="Course colour">
+      <span class="flex-grow-1 course-name"></span>
+      <button type="button" class="btn btn-sm btn-outline-danger course-remove">Remove</button>`;
+    li.querySelector(".course-color").value = course.color;
+    li.querySelector(".course-name").textContent = course.name;
+
+    li.querySelector(".course-color").addEventListener("change", (e) =>
+      persist(courses.map((c) => (c.id === course.id ? { ...c, color: e.target.value } : c)))
+    );
+    li.querySelector(".course-remove").addEventListener("click", () =>
+      persist(courses.filter((c) => c.id !== course.id))
+    );
+
+    list.appendChild(li);
+  }
+
+  // Suggest the next palette colour for the "add" form
+  const colorInput = document.getElementById("newCourseColor");
+  if (colorInput) colorInput.value = PALETTE[courses.length % PALETTE.length];
+}
+
+// Writes the whole list back; the user doc listener repaints everything
+async function persist(courses) {
+  try {
+    await saveCourses(courses);
+    showError("");
+  } catch (err) {
+    console.error("[SETTINGS] save courses failed:", err);
+    showError("Could not save your courses.");
+  }
+}
+
+/**
+ * Wires the "Add course" form in Settings.
+ */
+export function attachCourseSettings(state) {
+  const form = document.getElementById("courseForm");
+  if (!form) return;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const name = document.getElementById("newCourseName")?.value?.trim() || "";
+    const color = document.getElementById("newCourseColor")?.value || PALETTE[0];
+    if (!name) {
+      showError("Please enter a course name.");
+      return;
+    }
+    const courses = state.courses || [];
+    if (courses.some((c) => c.name.toLowerCase() === name.toLowerCase())) {
+      showError("You already have a course with that name.");
+      return;
+    }
+
+    await persist([...courses, { id: crypto.randomUUID(), name, color }]);
+    document.getElementById("newCourseName").value = "";
+  });
+}
@@ -0,0 +1,104 @@
+// features/settings/priority.js
+
+// "Priority" section of the Settings tab.
+// Lets each user tune the urgency multiplier and the urgency thresholds
+// used by priorityForTask. Values live on the user doc (prioritySettings)
+// and come back into state.prioritySettings through watchUserPrefs.
+
+import {
+  DEFAULT_PRIORITY_SETTINGS,
+  normalizePrioritySettings,
+} from "../../priority.js";
+import { savePrioritySettings } from "../../services/firestore.js";
+
+// Ids of the four threshold inputs, in ascending order
+const THRESHOLD_IDS = ["prioThreshold1", "prioThreshold2", "prioThreshold3", "prioThreshold4"];
+
+/**
+ * Shows (or clears) the error line under the priority form
+ */
+function showError(msg) {
+  const errBox = document.getElementById("prioritySettingsError");
+  if (errBox) errBox.textContent = msg || "";
+}
+
+/**
+ * Copies a settings object into the form inputs.
+ * Called whenever the user doc snapshot changes.
+ */
+export function fillPrioritySettingsForm(settings) {
+  const { urgencyMultiplier, urgencyThresholds } = normalizePrioritySettings(settings);
+
+  const multiplierEl = document.getElementById("prioMultiplier");
+  if (multiplierEl) multiplierEl.value = urgencyMultiplier;
+
+  THRESHOLD_IDS.forEach((id, i) => {
+    const el = document.getElementById(id);
+    if (el) el.value = urgencyThresholds[i];
+  });
+}
+
+/**
+ * Reads the form inputs and checks them.
+ * Returns { settings } when valid, or { error } with a message.
+ */
+function readPrioritySettingsForm() {
+  const urgencyMultiplier = parseFloat(document.getElementById("prioMultiplier")?.value ?? "");
+  const urgencyThresholds = THRESHOLD_IDS.map((id) =>
+    parseFloat(document.getElementById(id)?.value ?? "")
+  );
+
+  if (Number.isNaN(urgencyMultiplier) || urgencyMultiplier < 0) {
+    return { error: "The multiplier must be 0 or more." };
+  }
+  const ascending = urgencyThresholds.every(
+    (x, i) => x > 0 && (i === 0 || x > urgencyThresholds[i - 1])
+  );
+  if (!ascending) {
+    return { error: "Thresholds must be positive and increase from left to right." };
+  }
+
+  return { settings: { urgencyMultiplier, urgencyThresholds } };
+}
+
+/**
+ * Wires the Save and "Reset to defaults" buttons.
+ * The Firestore listener updates state and re-renders tasks after each write.
+ */
+export function attachPrioritySettings() {
+  const form = document.getElementById("prioritySettingsForm");
+  if (!form) return;
+
+  // Show the defaults until the user doc arrives
+  fillPrioritySettingsForm(DEFAULT_PRIORITY_SETTINGS);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const { settings, error } = readPrioritySettingsForm();
+    if (error) {
+      showError(error);
+      return;
+    }
+
+    try {
+      await savePrioritySettings(settings);
+      showError("");
+    } catch (err) {
+      console.error("[SETTINGS] save priority settings failed:", err);
+      showError("Could not save your priority settings.");
+    }
+  });
+
+  document.getElementById("prioReset")?.addEventListener("click", async () => {
+    try {
+      // Removing the field makes everyone fall back to DEFAULT_PRIORITY_SETTINGS
+      await savePrioritySettings(null);
+      fillPrioritySettingsForm(DEFAULT_PRIORITY_SETTINGS);
+      showError("");
+    } catch (err) {
+      console.error("[SETTINGS] reset priority settings failed:", err);
+      showError("Could not reset your priority settings.");
+    }
+  });
+}
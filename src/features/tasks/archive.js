@@ -0,0 +1,112 @@
+// features/tasks/archive.js
+
+// Completed tasks and the archive.
+// - The task list has two views (state.taskView): "open" tasks and "done" tasks.
+// - toggleTaskComplete stamps completedAt, which the Done view shows and sorts by.
+// - With "archive after N days" set in Settings (state.archiveAfterDays),
+//   completed tasks older than that are moved to users/{uid}/archivedTasks,
+//   so the live task listener no longer downloads them.
+// - Archived tasks are only read when the user asks for them in the Done view
+//   (state.archivedTasks stays null until then).
+
+import { archiveTasks, loadArchivedTasks } from "../../services/firestore.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ids already being archived, so back-to-back snapshots don't archive twice
+const archiving = new Set();
+
+// completedAtDate(task)
+// ---------------------
+// When the task was completed, as a Date. Tasks completed before completedAt
+// was recorded fall back to when they were created. Null when neither is known
+// (e.g. a serverTimestamp that hasn't come back yet).
+
+export function completedAtDate(task) {
+  // A pending serverTimestamp reads as null, so only fall back when the field is missing
+  const v = "completedAt" in task ? task.completedAt : task.createdAt;
+  if (!v) return null;
+  return v.toDate ? v.toDate() : new Date(v);
+}
+
+// autoArchiveCompleted(state, now)
+// --------------------------------
+// Archives every completed task whose completion is older than
+// state.archiveAfterDays. Does nothing when auto-archiving is off.
+
+export async function autoArchiveCompleted(state, now) {
+  const days = state.archiveAfterDays;
+  if (!Number.isInteger(days) || days < 1) return;
+
+  const cutoff = now().getTime() - days * DAY_MS;
+  const stale = (state.tasks || []).filter((t) => {
+    if (!t.completed || archiving.has(t.id)) return false;
+    const done = completedAtDate(t);
+    return done !== null && done.getTime() < cutoff;
+  });
+  if (!stale.length) return;
+
+  stale.forEach((t) => archiving.add(t.id));
+  try {
+    await archiveTasks(stale);
+    // Keep an already loaded archive list in step
+    if (state.archivedTasks) state.archivedTasks = [...stale, ...state.archivedTasks];
+  } catch (err) {
+    console.error("[ARCHIVE] auto-archive failed:", err);
+  } finally {
+    stale.forEach((t) => archiving.delete(t.id));
+  }
+}
+
+// showArchivedTasks(state, onChange)
+// ----------------------------------
+// Loads the archived tasks once (Done view → "Show archived") and re-renders.
+
+export async function showArchivedTasks(state, onChange) {
+  try {
+    state.archivedTasks = await loadArchivedTasks();
+  } catch (err) {
+    console.error("[ARCHIVE] loading archived tasks failed:", err);
+    state.archivedTasks = null;
+  }
+  onChange();
+}
+
+// Highlights the active Open / Done button
+function updateTaskViewButtons(view) {
+  [
+    ["taskViewOpen", "open"],
+    ["taskViewDone", "done"],
+  ].forEach(([id, value]) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.classList.toggle("active", view === value);
+    btn.setAttribute("aria-pressed", String(view === value));
+  });
+}
+
+// setTaskView(state, view)
+// ------------------------
+// Switches the list between "open" and "done" and updates the buttons.
+// The caller re-renders the list.
+
+export function setTaskView(state, view) {
+  state.taskView = view;
+  updateTaskViewButtons(view);
+}
+
+// attachTaskViewToggle(state, onChange)
+// -------------------------------------
+// Wires the Open / Done buttons above the task list once.
+
+export function attachTaskViewToggle(state, onChange) {
+  state.taskView = state.taskView || "open";
+  updateTaskViewButtons(state.taskView);
+
+  const show = (view) => {
+    setTaskView(state, view);
+    onChange();
+  };
+  document.getElementById("taskViewOpen")?.addEventListener("click", () => show("open"));
+  document.getElementById("taskViewDone")?.addEventListener("click", () => show("done"));
+}
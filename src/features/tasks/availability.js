@@ -0,0 +1,128 @@
+// features/tasks/availability.js
+
+// Helpers that turn the study schedule (persisted blocks + base pattern
+// minus weekly exclusions) into plain { start, end } intervals.
+// Shared by the priority calculation in render.js and the planner.
+
+import { isoWeekId } from "../../calendar/range.js";
+
+//  mergeIntervals(intervals)
+//  -------------------------
+//  Utility function that:
+//  - Takes an array of time intervals { start, end }
+//  - Combines overlapping or touching intervals into a single continuous block
+// [ [1–3], [2–4] ] → [ [1–4] ]
+
+export function mergeIntervals(intervals) {
+  if (!intervals.length) return [];
+
+  // Convert each interval's start/end into Date objects in case they are strings,
+  // filter out any invalid intervals where end <= start,
+  // and sort them by start time (earliest first).
+  const arr = intervals
+    .map((i) => ({ start: new Date(i.start), end: new Date(i.end) }))
+    .filter((i) => i.end > i.start)
+    .sort((a, b) => a.start - b.start);
+
+  if (!arr.length) return [];
+
+  // Start with the first interval as our initial merged block
+  const merged = [arr[0]];
+
+  // Walk through all subsequent intervals and merge if overlapping
+  for (let i = 1; i < arr.length; i++) {
+    const prev = merged[merged.length - 1]; // This is the last merged interval
+    const cur = arr[i]; // current interval we’re inspecting
+
+    // If the current interval starts before or exactly when the previous one ends,
+    // they overlap (or touch) and should be merged.
+    if (cur.start <= prev.end) {
+      // Extend the previous interval's end if the current one goes later
+      if (cur.end > prev.end) prev.end = cur.end;
+    } else {
+      // Otherwise there is a gap then it will push the current interval as a new block
+      merged.push(cur);
+    }
+  }
+  return merged;
+}
+
+// studyIntervalsBetween(state, from, to)
+// --------------------------------------
+// Collects every piece of study time inside the [from, to) window:
+// 1) persisted blocks from state.studyAll
+// 2) the weekly base pattern, minus that week's exclusions
+// Each piece is clipped to the window and the result is merged,
+// so overlapping persisted/base time is only counted once.
+
+export function studyIntervalsBetween(state, from, to) {
+  // If the window is invalid or empty, there is no study time in it
+  if (Number.isNaN(to.getTime()) || to <= from) return [];
+
+  // clipped will hold the portion of each study block that lies between from and to.
+  const clipped = [];
+
+  // 1) Loop through every persisted study block in the schedule
+  for (const b of state.studyAll || []) {
+    // Ensuring that the start and end are Date objects
+    const start = b.start instanceof Date ? b.start : new Date(b.start);
+    const end = b.end instanceof Date ? b.end : new Date(b.end);
+
+    // Only consider blocks that intersect the [from, to] window.
+    // Condition: block starts before the end AND ends after the start.
+    if (!(start < to && end > from)) continue;
+
+    // Clip the block so it starts no earlier than "from"
+    const segStart = new Date(Math.max(start.getTime(), from.getTime()));
+
+    // Then the ones that end no later than "to"
+    const segEnd = new Date(Math.min(end.getTime(), to.getTime()));
+
+    // If there is still a valid positive-length segment, add it to the list
+    if (segEnd > segStart) clipped.push({ start: segStart, end: segEnd });
+  }
+
+  // 2) Base pattern across the window's days, minus exclusions
+  const dayMs = 24 * 60 * 60 * 1000;
+  const startDay = new Date(from); startDay.setHours(0, 0, 0, 0);
+
+  for (let t = startDay.getTime(); t <= to.getTime(); t += dayMs) {
+    const d = new Date(t);
+    // Pattern weekdays count from Monday, independent of the calendar's first day
+    const weekday = (d.getDay() + 6) % 7; // Mon=0..Sun=6
+
+    // Exclusions are stored per Monday week (same id the calendar uses)
+    const weekId = isoWeekId(d);
+
+    const excl = state.baseExclusionsByWeek?.get(weekId);
+
+    for (const p of state.baseStudyPattern || []) {
+      if (p.weekday !== weekday) continue;
+      const slotStart = new Date(d);
+      slotStart.setHours(p.hour, 0, 0, 0);
+      const slotEnd = new Date(slotStart.getTime() + 60 * 60 * 1000);
+      const slotKey = slotStart.getTime();
+
+      if (excl?.has?.(slotKey)) continue;         // skip excluded
+      if (!(slotStart < to && slotEnd > from)) continue;
+
+      const segStart = new Date(Math.max(slotStart.getTime(), from.getTime()));
+      const segEnd = new Date(Math.min(slotEnd.getTime(), to.getTime()));
+      if (segEnd > segStart) clipped.push({ start: segStart, end: segEnd });
+    }
+  }
+
+  // Merge any overlapping segments to avoid double-counting time
+  return mergeIntervals(clipped);
+}
+
+// taskDueAt(task)
+// ---------------
+// The moment a task is due. Uses the optional due time ("HH:MM");
+// tasks without one are treated as due at the very end of that day
+// (23:59:59 local time).
+
+export function taskDueAt(task) {
+  const time = task.dueTime ? `${task.dueTime}:00` : "23:59:59";
+  return new Date(`${task.dueDate}T${time}`);
+}
@@ -0,0 +1,201 @@
+// features/tasks/bulk.js
+
+// Selection mode for the task list.
+// "Select" turns on a checkbox per card; the bar above the list then acts on
+// every selected task at once (complete, delete, shift due dates, importance).
+// - state.selectMode: true while selecting
+// - state.selectedTaskIds: Set of selected task ids
+// - state.visibleTaskIds: ids in the order renderTasks drew them
+//   (used for "select all" and shift-click ranges)
+// Every action is one batched Firestore write and can be undone from the toast.
+
+import {
+  bulkCompleteTasks,
+  bulkDeleteTasks,
+  bulkUpdateTasks,
+  restoreTasks,
+  unskipSeriesOccurrence,
+} from "../../services/firestore.js";
+import { toDateStr } from "./recurrence.js";
+import { offerUndo } from "../undo/toast.js";
+
+// Last checkbox clicked without shift (start of a shift-click range)
+let anchorId = null;
+
+// Shows (or clears) the error line in the bulk bar
+function showError(msg) {
+  const errBox = document.getElementById("bulkError");
+  if (errBox) errBox.textContent = msg || "";
+}
+
+// Moves a yyyy-mm-dd date by a number of days
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return toDateStr(d);
+}
+
+// Selected tasks that are still in the list (a snapshot may have removed some)
+function selectedTasks(state) {
+  const ids = state.selectedTaskIds || new Set();
+  return (state.tasks || []).filter((t) => ids.has(t.id) && !t.completed);
+}
+
+// Keeps the previous docs so an action can be undone (exact fields, same ids)
+function snapshotsOf(tasks) {
+  return tasks.map(({ id, ...data }) => ({ id, data }));
+}
+
+/**
+ * Updates the bulk bar: visibility, "N selected", the select-all box and
+ * whether the action buttons can be used. Called by renderTasks.
+ */
+export function renderBulkBar(state) {
+  const bar = document.getElementById("bulkBar");
+  const toggle = document.getElementById("toggleSelectMode");
+  const selecting = !!state.selectMode && state.taskView !== "done";
+
+  bar?.classList.toggle("d-none", !selecting);
+  toggle?.classList.toggle("d-none", state.taskView === "done");
+  if (toggle) {
+    toggle.textContent = selecting ? "Done selecting" : "Select";
+    toggle.setAttribute("aria-pressed", String(selecting));
+  }
+  if (!selecting) return;
+
+  // Forget selections that are no longer visible (filtered, completed, deleted)
+  const visible = state.visibleTaskIds || [];
+  const visibleSet = new Set(visible);
+  for (const id of state.selectedTaskIds) {
+    if (!visibleSet.has(id)) state.selectedTaskIds.delete(id);
+  }
+  const count = state.selectedTaskIds.size;
+
+  const countEl = document.getElementById("bulkCount");
+  if (countEl) countEl.textContent = `${count} selected`;
+
+  const all = document.getElementById("bulkSelectAll");
+  if (all) {
+    all.checked = count > 0 && count === visible.length;
+    all.indeterminate = count > 0 && count < visible.length;
+  }
+
+  document.querySelectorAll("#bulkBar [data-bulk-action]").forEach((btn) => {
+    btn.disabled = count === 0;
+  });
+}
+
+/**
+ * Handles a click on a card's checkbox. Shift-click selects (or clears)
+ * every visible task between the last clicked one and this one.
+ */
+export function toggleTaskSelection(state, taskId, checked, shiftKey) {
+  const order = state.visibleTaskIds || [];
+  const from = order.indexOf(anchorId);
+  const to = order.indexOf(taskId);
+
+  if (shiftKey && from >= 0 && to >= 0) {
+    const [lo, hi] = from < to ? [from, to] : [to, from];
+    for (const id of order.slice(lo, hi + 1)) {
+      if (checked) state.selectedTaskIds.add(id);
+      else state.selectedTaskIds.delete(id);
+    }
+  } else {
+    if (checked) state.selectedTaskIds.add(taskId);
+    else state.selectedTaskIds.delete(taskId);
+    anchorId = taskId;
+  }
+}
+
+// Runs one bulk action with shared error handling, then leaves the selection empty
+async function runBulk(state, onChange, action) {
+  const tasks = selectedTasks(state);
+  if (!tasks.length) return;
+  showError("");
+  try {
+    await action(tasks);
+    state.selectedTaskIds.clear();
+    onChange();
+  } catch (err) {
+    console.error("[BULK] action failed:", err);
+    showError(err?.message || "Could not update the selected tasks.");
+  }
+}
+
+/**
+ * Wires the "Select" toggle and the bulk bar once.
+ * onChange re-renders the task list.
+ */
+export function attachBulkActions(state, now, onChange) {
+  state.selectedTaskIds = state.selectedTaskIds || new Set();
+
+  document.getElementById("toggleSelectMode")?.addEventListener("click", () => {
+    state.selectMode = !state.selectMode;
+    state.selectedTaskIds.clear();
+    anchorId = null;
+    showError("");
+    onChange();
+  });
+
+  document.getElementById("bulkSelectAll")?.addEventListener("change", (e) => {
+    state.selectedTaskIds = e.target.checked ? new Set(state.visibleTaskIds || []) : new Set();
+    anchorId = null;
+    onChange();
+  });
+
+  // Complete: one batch (running timers are logged in it too)
+  document.getElementById("bulkComplete")?.addEventListener("click", () =>
+    runBulk(state, onChange, async (tasks) => {
+      const before = snapshotsOf(tasks);
+      const timerLogIds = await bulkCompleteTasks(tasks, now());
+      offerUndo(`Completed ${tasks.length} task${tasks.length === 1 ? "" : "s"}.`, () =>
+        restoreTasks(
+          before.map((b) => ({ ...b, dropLogIds: timerLogIds[b.id] ? [timerLogIds[b.id]] : [] }))
+        )
+      );
+    })
+  );
+
+  // Delete: one batch (time logs and series skips included)
+  document.getElementById("bulkDelete")?.addEventListener("click", () =>
+    runBulk(state, onChange, async (tasks) => {
+      const removed = await bulkDeleteTasks(tasks);
+      offerUndo(`Deleted ${tasks.length} task${tasks.length === 1 ? "" : "s"}.`, async () => {
+        await restoreTasks(removed);
+        for (const t of tasks.filter((x) => x.seriesId)) {
+          await unskipSeriesOccurrence(t.seriesId, t.occurrenceDate ?? t.dueDate);
+        }
+      });
+    })
+  );
+
+  // Reschedule: move every due date by N days (negative = earlier)
+  document.getElementById("bulkReschedule")?.addEventListener("click", () => {
+    const days = parseInt(document.getElementById("bulkShiftDays")?.value ?? "", 10);
+    if (!Number.isInteger(days) || days === 0) {
+      showError("Enter a whole number of days to move the due dates by.");
+      return;
+    }
+    runBulk(state, onChange, async (tasks) => {
+      const before = snapshotsOf(tasks);
+      await bulkUpdateTasks(
+        tasks.map((t) => ({ id: t.id, patch: { dueDate: shiftDate(t.dueDate, days) } }))
+      );
+      offerUndo(`Moved ${tasks.length} due date${tasks.length === 1 ? "" : "s"}.`, () =>
+        restoreTasks(before)
+      );
+    });
+  });
+
+  // Importance: set the same value on every selected task
+  document.getElementById("bulkSetImportance")?.addEventListener("click", () => {
+    const importance = parseInt(document.getElementById("bulkImportance")?.value ?? "", 10);
+    runBulk(state, onChange, async (tasks) => {
+      const before = snapshotsOf(tasks);
+      await bulkUpdateTasks(tasks.map((t) => ({ id: t.id, patch: { importance } })));
+      offerUndo(`Changed importance of ${tasks.length} task${tasks.length === 1 ? "" : "s"}.`, () =>
+        restoreTasks(before)
+      );
+    });
+  });
+}
@@ -0,0 +1,74 @@
+// features/tasks/dependencies.js
+
+// Task dependencies ("draft" before "final essay").
+// A task lists the tasks it waits for in task.dependsOn = [taskId, ...].
+// - A task is blocked while any of those is still open.
+// - The planner only gives a task study time once its predecessors are done
+//   (see planStudyTime), and records when each task is expected to finish.
+// - priorityForTask only counts study time after that expected finish.
+// Ids of deleted or archived tasks are ignored, so nothing stays blocked forever.
+
+import { taskDueAt } from "./availability.js";
+import { remainingHours } from "./effort.js";
+
+// dependsOnIds(task)
+// ------------------
+// The ids a task depends on (always an array).
+
+export function dependsOnIds(task) {
+  return Array.isArray(task?.dependsOn) ? task.dependsOn : [];
+}
+
+// openPredecessors(task, state)
+// -----------------------------
+// Predecessor tasks that are not completed yet (= what blocks this task).
+
+export function openPredecessors(task, state) {
+  const ids = new Set(dependsOnIds(task));
+  if (!ids.size) return [];
+  return (state.tasks || []).filter((t) => ids.has(t.id) && !t.completed);
+}
+
+// wouldCreateCycle(state, taskId, candidateId)
+// --------------------------------------------
+// True when making taskId depend on candidateId would close a loop
+// (candidateId already waits for taskId, directly or further down the chain).
+
+export function wouldCreateCycle(state, taskId, candidateId) {
+  if (!taskId) return false;
+  if (taskId === candidateId) return true;
+
+  const byId = new Map((state.tasks || []).map((t) => [t.id, t]));
+  const seen = new Set();
+  const stack = [candidateId];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...dependsOnIds(byId.get(id)));
+  }
+  return false;
+}
+
+// predecessorsDoneAt(task, state, plan)
+// -------------------------------------
+// When the task's open predecessors are expected to be finished, or null
+// when nothing blocks it. A predecessor the planner can fully cover finishes
+// at the end of its last reserved study block; one it can't cover is assumed
+// to take until its own deadline.
+
+export function predecessorsDoneAt(task, state, plan) {
+  let latest = null;
+  for (const p of openPredecessors(task, state)) {
+    let finish = plan?.finishByTask?.get(p.id) ?? null;
+    if (!finish) {
+      // Nothing left to do on it: it doesn't hold anything up
+      if (remainingHours(p) <= 0) continue;
+      finish = taskDueAt(p);
+      if (Number.isNaN(finish.getTime())) continue;
+    }
+    if (!latest || finish > latest) latest = finish;
+  }
+  return latest;
+}
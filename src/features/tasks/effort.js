@@ -0,0 +1,49 @@
+// features/tasks/effort.js
+
+// How much work is left on a task.
+// timeNeeded is the original estimate. Progress comes from two places:
+// - checklist items (subtasks), each with its own hour estimate
+// - time actually logged on the task (loggedHours, manual or timer)
+// Both describe the same work, so the larger of the two is taken off the
+// estimate rather than adding them up.
+// Everything that does time math (priority, planner, overload check) should
+// use remainingHours instead of timeNeeded directly.
+
+// doneSubtaskHours(task)
+// ----------------------
+// Total hours of the checklist items that are ticked off.
+
+export function doneSubtaskHours(task) {
+  return (task.subtasks || [])
+    .filter((s) => s.done)
+    .reduce((sum, s) => sum + Number(s.hours || 0), 0);
+}
+
+// loggedHours(task)
+// -----------------
+// Total hours logged on the task so far.
+
+export function loggedHours(task) {
+  return Number(task.loggedHours || 0);
+}
+
+// timerStartedAt(task)
+// --------------------
+// When the task's running timer was started, or null if no timer is running.
+// Firestore hands back a Timestamp, so convert it to a Date.
+
+export function timerStartedAt(task) {
+  const v = task.timerStartedAt;
+  if (!v) return null;
+  return v.toDate ? v.toDate() : new Date(v);
+}
+
+// remainingHours(task)
+// --------------------
+// Original estimate minus the progress made so far, never below 0.
+
+export function remainingHours(task) {
+  const total = Number(task.timeNeeded ?? 0);
+  const progress = Math.max(doneSubtaskHours(task), loggedHours(task));
+  return Math.max(0, total - progress);
+}
@@ -0,0 +1,226 @@
+// features/tasks/filters.js
+
+// Search box + filters above #taskList.
+// Everything lives in state.taskFilters and is remembered in localStorage:
+//   search:     text matched against the task name, course and checklist items
+//   dueFrom:    yyyy-mm-dd, earliest due date shown ("" = no limit)
+//   dueTo:      yyyy-mm-dd, latest due date shown ("" = no limit)
+//   importance: minimum importance 1..5 (1 = any)
+//   urgency:    "" | "low" | "medium" | "high" (same bands as the card colours)
+//   overdue:    true to show only open tasks that are past due
+//               (urgency and overdue only apply to the Open view)
+//   course:     course id, "none" for tasks without a course, or null for all
+// Filters combine with whichever sort mode is active, and with the
+// Open / Done view (see archive.js). They are also kept in the URL
+// (see features/url/urlState.js).
+
+import {
+  saveTaskFiltersLocally,
+  loadTaskFiltersFromLocal,
+} from "../../services/localStorages.js";
+import { taskDueAt } from "./availability.js";
+import { syncUrlState } from "../url/urlState.js";
+
+export const DEFAULT_TASK_FILTERS = Object.freeze({
+  search: "",
+  dueFrom: "",
+  dueTo: "",
+  importance: 1,
+  urgency: "",
+  overdue: false,
+  course: null,
+});
+
+// Urgency bands, matching the card colours in renderTasks
+// (green < 3, yellow 3–4, red 5); the calendar's due markers use them too
+export function urgencyBand(urgency) {
+  if (urgency >= 5) return "high";
+  if (urgency >= 3) return "medium";
+  return "low";
+}
+
+// How many filters differ from the defaults (shown on the "Filters" button)
+function activeFilterCount(filters) {
+  return ["dueFrom", "dueTo", "importance", "urgency", "overdue"].filter(
+    (key) => filters[key] !== DEFAULT_TASK_FILTERS[key]
+  ).length;
+}
+
+// taskMatchesFilters(task, p, state, now)
+// ---------------------------------------
+// True when the task should be shown with the current filters.
+// p is the task's priority info (needed for the urgency filter), or null
+// for completed tasks in the Done view.
+
+export function taskMatchesFilters(task, p, state, now) {
+  const f = state.taskFilters || DEFAULT_TASK_FILTERS;
+
+  // Course pills
+  if (f.course === "none") {
+    // Tasks with no course (or a course that has since been removed)
+    if ((state.courses || []).some((c) => c.id === task.courseId)) return false;
+  } else if (f.course && task.courseId !== f.course) {
+    return false;
+  }
+
+  // Search text: every word must appear in the task name, its course name
+  // or one of its checklist items
+  const words = (f.search || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length) {
+    const courseName =
+      (state.courses || []).find((c) => c.id === task.courseId)?.name || "";
+    const haystack = [task.name, courseName, ...(task.subtasks || []).map((s) => s.title)]
+      .join(" ")
+      .toLowerCase();
+    if (!words.every((w) => haystack.includes(w))) return false;
+  }
+
+  // Due-date range (yyyy-mm-dd strings compare correctly as text)
+  if (f.dueFrom && (task.dueDate ?? "") < f.dueFrom) return false;
+  if (f.dueTo && (task.dueDate ?? "") > f.dueTo) return false;
+
+  // Minimum importance
+  if ((task.importance ?? 3) < (f.importance || 1)) return false;
+
+  // Urgency band and overdue only make sense for open tasks
+  if (p) {
+    if (f.urgency && urgencyBand(p.urgency) !== f.urgency) return false;
+
+    // Overdue: already past its due time
+    if (f.overdue && !(taskDueAt(task) < now())) return false;
+  }
+
+  return true;
+}
+
+// Saves the filters (locally and in the URL) and re-renders
+function commit(state, onChange) {
+  saveTaskFiltersLocally(state.taskFilters);
+  syncUrlState(state);
+  onChange();
+}
+
+// Copies state.taskFilters into the filter inputs
+function fillFilterInputs(filters) {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    if (el.type === "checkbox") el.checked = !!value;
+    else el.value = value ?? "";
+  };
+  set("taskSearch", filters.search);
+  set("filterDueFrom", filters.dueFrom);
+  set("filterDueTo", filters.dueTo);
+  set("filterImportance", String(filters.importance));
+  set("filterUrgency", filters.urgency);
+  set("filterOverdue", filters.overdue);
+
+  // Show how many filters are on next to the "Filters" button
+  const badge = document.getElementById("filterCount");
+  if (badge) {
+    const count = activeFilterCount(filters);
+    badge.textContent = count ? String(count) : "";
+    badge.classList.toggle("d-none", !count);
+  }
+}
+
+// setTaskFilters(state, filters)
+// -------------------------------
+// Replaces all filters (e.g. from a link) and updates the inputs.
+// The caller re-renders the list.
+
+export function setTaskFilters(state, filters) {
+  state.taskFilters = { ...DEFAULT_TASK_FILTERS, ...filters };
+  fillFilterInputs(state.taskFilters);
+  saveTaskFiltersLocally(state.taskFilters);
+}
+
+// attachTaskFilters(state, onChange)
+// ----------------------------------
+// Restores saved filters and wires the search box + filter inputs once.
+// onChange re-renders the task list.
+
+export function attachTaskFilters(state, onChange) {
+  state.taskFilters = { ...DEFAULT_TASK_FILTERS, ...(loadTaskFiltersFromLocal() || {}) };
+  fillFilterInputs(state.taskFilters);
+
+  // Each input maps onto one key of state.taskFilters
+  const bindings = [
+    ["taskSearch", "search", "input", (el) => el.value],
+    ["filterDueFrom", "dueFrom", "change", (el) => el.value],
+    ["filterDueTo", "dueTo", "change", (el) => el.value],
+    ["filterImportance", "importance", "change", (el) => parseInt(el.value, 10) || 1],
+    ["filterUrgency", "urgency", "change", (el) => el.value],
+    ["filterOverdue", "overdue", "change", (el) => el.checked],
+  ];
+
+  for (const [id, key, eventName, read] of bindings) {
+    document.getElementById(id)?.addEventListener(eventName, (e) => {
+      state.taskFilters = { ...state.taskFilters, [key]: read(e.target) };
+      fillFilterInputs(state.taskFilters);
+      commit(state, onChange);
+    });
+  }
+
+  // "Clear" resets everything except the search text and course pill
+  document.getElementById("clearTaskFilters")?.addEventListener("click", () => {
+    state.taskFilters = {
+      ...DEFAULT_TASK_FILTERS,
+      search: state.taskFilters.search,
+      course: state.taskFilters.course,
+    };
+    fillFilterInputs(state.taskFilters);
+    commit(state, onChange);
+  });
+}
+
+// renderFilterBar(state, onChange)
+// --------------------------------
+// Draws one pill per course ("All" first). Clicking a pill sets
+// state.taskFilters.course and calls onChange so the list can re-render.
+
+export function renderFilterBar(state, onChange) {
+  const bar = document.getElementById("taskFilterBar");
+  if (!bar) return;
+
+  const courses = state.courses || [];
+  const filters = state.taskFilters || { ...DEFAULT_TASK_FILTERS };
+  bar.innerHTML = "";
+
+  // Nothing to filter by until the user has created courses
+  if (!courses.length) return;
+
+  // Drop a filter whose course was deleted
+  if (filters.course && filters.course !== "none" && !courses.some((c) => c.id === filters.course)) {
+    state.taskFilters = { ...filters, course: null };
+  }
+
+  const options = [
+    { id: null, name: "All courses", color: null },
+    ...courses,
+    { id: "none", name: "No course", color: null },
+  ];
+
+  for (const opt of options) {
+    const active = (state.taskFilters.course ?? null) === opt.id;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `btn btn-sm rounded-pill course-filter ${active ? "btn-dark" : "btn-outline-secondary"}`;
+    btn.setAttribute("aria-pressed", String(active));
+
+    // Small colour dot before the course name
+    if (opt.color) {
+      const dot = document.createElement("span");
+      dot.className = "course-dot me-1";
+      dot.style.backgroundColor = opt.color;
+      btn.appendChild(dot);
+    }
+    btn.appendChild(document.createTextNode(opt.name));
+
+    btn.addEventListener("click", () => {
+      state.taskFilters = { ...state.taskFilters, course: opt.id };
+      commit(state, onChange);
+    });
+    bar.appendChild(btn);
+  }
+}
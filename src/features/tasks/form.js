@@ -1,60 +1,484 @@
 // features/tasks/form.js
 
 
-// Importing the function that will actually save a task to Firestore
-import { addTask } from '../../services/firestore.js';
+// Importing the functions that will actually save a task (or a repeating series) to Firestore
+import {
+    addTask,
+    updateTask,
+    addTaskSeries,
+    updateSeriesFuture,
+    splitSeries,
+    addTaskTemplate,
+    deleteTaskTemplate,
+} from '../../services/firestore.js';
+// Validation rules shared with the Firestore service calls
+import { validateTaskFields } from './validate.js';
+// Repeat rule helpers
+import { validateRule, toDateStr } from './recurrence.js';
+// Template helpers (relative due dates, checklist copies)
+import {
+    templateFromFields,
+    templateDueDate,
+    templateSubtasks,
+} from './templates.js';
+// Dependency helpers (no loops: a task can't wait for something waiting on it)
+import { wouldCreateCycle } from './dependencies.js';
 // Import Bootstrap's Collapse class so that we are able to program the form
 import { Collapse } from 'bootstrap';
 
-export function attachTaskForm() {
+// Id of the task currently being edited, or null when the form is adding a new task
+let editingId = null;
+
+// When editing an instance of a repeating series: the task and its series
+let editingTask = null;
+let editingSeries = null;
+
+// App state + clock, handed in by attachTaskForm (templates live in state.taskTemplates)
+let formState = null;
+let formNow = () => new Date();
+
+// Checklist copied from the template the new task was started from
+let templateSteps = [];
+
+// Today as yyyy-mm-dd (offset-aware "now")
+function todayStr() {
+    return toDateStr(formNow());
+}
+
+/**
+ * The template picked in "Start from template", or null
+ */
+function selectedTemplate() {
+    const id = document.getElementById('taskTemplate')?.value;
+    return (formState?.taskTemplates || []).find((t) => t.id === id) ?? null;
+}
+
+/**
+ * Fills the form from the picked template.
+ * The due date is counted from the "counted from" date (today by default).
+ */
+function applyTemplate(template) {
+    const fromInput = document.getElementById('taskTemplateFrom');
+    document.getElementById('deleteTemplate')?.classList.toggle('d-none', !template);
+    document.getElementById('taskTemplateFromWrap')?.classList.toggle('d-none', !template);
+
+    if (!template) {
+        templateSteps = [];
+        return;
+    }
+    if (fromInput && !fromInput.value) fromInput.value = todayStr();
+
+    document.getElementById('taskName').value = template.name ?? '';
+    document.getElementById('dueDate').value = templateDueDate(template, fromInput?.value || todayStr());
+    document.getElementById('dueTime').value = template.dueTime ?? '';
+    document.getElementById('timeNeeded').value = template.timeNeeded ?? '';
+    document.getElementById('importance').value = String(template.importance ?? 3);
+    const courseSelect = document.getElementById('taskCourse');
+    // Only pick the course if it still exists in the user's list
+    if (courseSelect) {
+        courseSelect.value = template.courseId ?? '';
+        if (courseSelect.value !== (template.courseId ?? '')) courseSelect.value = '';
+    }
+    templateSteps = templateSubtasks(template);
+}
+
+/**
+ * "Save as template": stores the form's current fields (and the checklist of
+ * the task being edited, or of the template it was started from) as a template.
+ */
+async function saveFormAsTemplate(button) {
+    const fields = readTaskForm();
+    // No due date yet → "due the day it's used"
+    if (!fields.dueDate) fields.dueDate = todayStr();
+    const subtasks = editingTask ? editingTask.subtasks : templateSteps;
+
+    try {
+        await addTaskTemplate(templateFromFields(fields, subtasks, todayStr()));
+        showFormError('');
+        button.textContent = 'Template saved';
+        setTimeout(() => (button.textContent = 'Save as template'), 1500);
+    } catch (err) {
+        console.error('[TASKS] save template failed:', err);
+        showFormError(err?.message || 'Could not save the template.');
+    }
+}
+
+/**
+ * Reads the "Repeat" controls into a rule starting on startDate.
+ * Returns null when "Does not repeat" is selected.
+ */
+function readRepeatRule(startDate) {
+    const type = document.getElementById('taskRepeat')?.value || 'none';
+    if (type === 'none') return null;
+
+    const every = parseInt(document.getElementById('taskRepeatEvery')?.value || '1', 10);
+    const weekdays = [...document.querySelectorAll('input[name="taskRepeatWeekday"]:checked')]
+        .map((box) => Number(box.value));
+    const until = document.getElementById('taskRepeatUntil')?.value || null;
+
+    return {
+        type,
+        every: type === 'days' ? every : null,
+        weekdays: type === 'weekdays' ? weekdays : [],
+        startDate,
+        until,
+    };
+}
+
+/**
+ * Copies a rule back into the "Repeat" controls (null = does not repeat)
+ */
+function fillRepeatRule(rule) {
+    document.getElementById('taskRepeat').value = rule?.type || 'none';
+    document.getElementById('taskRepeatEvery').value = rule?.every || 2;
+    document.getElementById('taskRepeatUntil').value = rule?.until || '';
+    document.querySelectorAll('input[name="taskRepeatWeekday"]').forEach((box) => {
+        box.checked = (rule?.weekdays || []).includes(Number(box.value));
+    });
+    updateRepeatVisibility();
+}
+
+/**
+ * Fills the "Depends on" list with the other open tasks.
+ * Tasks that already wait for the edited task are left out (that would be a loop).
+ *
+ * @param {string[]} selectedIds - Ids to show as selected
+ */
+function fillDependencyOptions(selectedIds) {
+    const select = document.getElementById('taskDependsOn');
+    if (!select) return;
+    const selected = new Set(selectedIds || []);
+
+    const candidates = (formState?.tasks || []).filter(
+        (t) => !t.completed && !wouldCreateCycle(formState, editingId, t.id)
+    );
+
+    select.innerHTML = '';
+    for (const t of candidates) {
+        const opt = document.createElement('option');
+        opt.value = t.id;
+        opt.textContent = t.name;
+        opt.selected = selected.has(t.id);
+        select.appendChild(opt);
+    }
+    document.getElementById('taskDependsOnEmpty')?.classList.toggle('d-none', candidates.length > 0);
+    select.classList.toggle('d-none', candidates.length === 0);
+}
+
+/**
+ * Shows only the repeat options that apply to the selected repeat type
+ */
+function updateRepeatVisibility() {
+    const type = document.getElementById('taskRepeat')?.value || 'none';
+    // New repeating tasks don't carry dependencies
+    document.getElementById('taskDependsOnGroup')?.classList.toggle('d-none', type !== 'none' && !editingId);
+    document.getElementById('taskRepeatOptions')?.classList.toggle('d-none', type === 'none');
+    document.getElementById('taskRepeatEveryWrap')?.classList.toggle('d-none', type !== 'days');
+    document.getElementById('taskRepeatWeekdaysWrap')?.classList.toggle('d-none', type !== 'weekdays');
+}
+
+/**
+ * The "Apply changes to" choice when editing a series instance ("one" or "future")
+ */
+function selectedScope() {
+    return document.querySelector('input[name="taskSeriesScope"]:checked')?.value || 'one';
+}
+
+/**
+ * Shows/hides the "Apply changes to" and "Repeat" sections:
+ * - adding a task: repeat controls only
+ * - editing a normal task: neither
+ * - editing a series instance: scope, plus repeat controls for "All future"
+ */
+function updateSeriesControls() {
+    const scopeBox = document.getElementById('taskSeriesScope');
+    const repeatGroup = document.getElementById('taskRepeatGroup');
+
+    scopeBox?.classList.toggle('d-none', !editingSeries);
+
+    const showRepeat = !editingId || (editingSeries && selectedScope() === 'future');
+    repeatGroup?.classList.toggle('d-none', !showRepeat);
+}
+
+// Day before a yyyy-mm-dd date, as yyyy-mm-dd
+function dayBefore(dateStr) {
+    const d = new Date(`${dateStr}T00:00:00`);
+    d.setDate(d.getDate() - 1);
+    return toDateStr(d);
+}
+
+// Same schedule? (startDate is ignored: it moves with the edited instance)
+function sameRule(a, b) {
+    return (
+        a?.type === b?.type &&
+        (a?.every ?? null) === (b?.every ?? null) &&
+        [...(a?.weekdays || [])].sort().join() === [...(b?.weekdays || [])].sort().join() &&
+        (a?.until ?? null) === (b?.until ?? null)
+    );
+}
+
+/**
+ * Saves an "All future" edit of a series instance.
+ * - Same schedule and date: patch the series and its open future instances in place.
+ * - "Does not repeat": stop the series after this instance.
+ * - New schedule or date: end the old series and start a new one from here.
+ * The edited instance itself is always patched in place (never regenerated),
+ * so its logged time, checklist progress and "Depends on" choice are kept.
+ */
+async function saveSeriesFuture(fields) {
+    const occurrence = editingTask.occurrenceDate ?? editingTask.dueDate;
+    const { name, dueDate, dueTime, timeNeeded, importance, courseId } = fields;
+    const template = { name, dueTime, timeNeeded, importance, courseId };
+    const rule = readRepeatRule(dueDate);
+
+    if (!rule) {
+        // Keep this instance (with its edits) as the last one of the series
+        const nextDay = new Date(`${occurrence}T00:00:00`);
+        nextDay.setDate(nextDay.getDate() + 1);
+        await splitSeries(editingSeries.id, toDateStr(nextDay), occurrence, null, {
+            id: editingId,
+            patch: fields,
+        });
+        return;
+    }
+
+    const ruleProblem = validateRule(rule);
+    if (ruleProblem) throw new Error(ruleProblem);
+
+    if (dueDate === occurrence && sameRule(rule, editingSeries.rule)) {
+        await updateSeriesFuture(editingSeries.id, occurrence, template);
+        // Series don't carry dependencies: they stay on the edited instance
+        await updateTask(editingId, { dependsOn: fields.dependsOn });
+        return;
+    }
+
+    await splitSeries(editingSeries.id, occurrence, dayBefore(occurrence), { ...template, rule }, {
+        id: editingId,
+        patch: fields,
+    });
+}
+
+/**
+ * Reads the task fields out of the taskForm inputs.
+ * Used by both "add" and "edit" so the two never drift apart.
+ */
+function readTaskForm() {
+    // Read the "Task / Assignment" name from the input
+    // ?.value protects in case the element isn't found
+    // .trim() removes leading/trailing spaces
+    // Fallback to empty string if anything is missing
+    const name = document.getElementById('taskName')?.value?.trim() || '';
+
+    // Read the due date (a string in yyyy-mm-dd format from the input[type="date"])
+    const dueDate = document.getElementById('dueDate')?.value || '';
+
+    // Read the optional due time ("HH:MM" from the input[type="time"]); null when left empty
+    const dueTime = document.getElementById('dueTime')?.value || null;
+
+    // Read the raw "Time needed (hrs)" field as a string
+    const timeNeededRaw = document.getElementById('timeNeeded')?.value || '';
+
+    // Convert the string to a floating-point number, so you can do math with it
+    const timeNeeded = parseFloat(timeNeededRaw);
+
+    // Read the "Importance" dropdown and convert it to an integer
+    // Default to '3' (Medium) if the element isn't found or is empty
+    const importance = parseInt(document.getElementById('importance')?.value || '3', 10);
+
+    // Read the optional course (id from the user's course list); null for "No course"
+    const courseId = document.getElementById('taskCourse')?.value || null;
+
+    // Read the tasks this one waits for (ids of the selected options)
+    const dependsOn = [...(document.getElementById('taskDependsOn')?.selectedOptions || [])]
+        .map((opt) => opt.value);
+
+    return { name, dueDate, dueTime, timeNeeded, importance, courseId, dependsOn };
+}
+
+/**
+ * Shows (or clears, when msg is empty) the error line under the form
+ */
+function showFormError(msg) {
+    const errBox = document.getElementById('taskFormError');
+    if (errBox) errBox.textContent = msg || '';
+}
+
+/**
+ * Puts the form back into "add" mode: clears the editing id and
+ * restores the submit button label
+ */
+function resetEditMode() {
+    editingId = null;
+    editingTask = null;
+    editingSeries = null;
+    templateSteps = [];
+    const templateSelect = document.getElementById('taskTemplate');
+    if (templateSelect) templateSelect.value = '';
+    const fromInput = document.getElementById('taskTemplateFrom');
+    if (fromInput) fromInput.value = '';
+    applyTemplate(null);
+    document.getElementById('taskTemplateGroup')?.classList.remove('d-none');
+    const scopeOne = document.getElementById('taskSeriesScopeOne');
+    if (scopeOne) scopeOne.checked = true;
+    fillRepeatRule(null);
+    updateSeriesControls();
+    const submitBtn = document.getElementById('taskFormSubmit');
+    if (submitBtn) submitBtn.textContent = 'Save Task';
+    showFormError('');
+}
+
+/**
+ * Opens the task form pre-filled with an existing task so it can be edited in place.
+ * Called from the "Edit" button on each task card.
+ *
+ * @param {object} task - The task object from state.tasks (must have an id)
+ * @param {object|null} [series] - The task's repeating series, if it has one
+ */
+export function startTaskEdit(task, series = null) {
+    const form = document.getElementById('taskForm');
+    if (!form || !task?.id) return;
+
+    // Fill in the same fields used when creating a task
+    document.getElementById('taskName').value = task.name ?? '';
+    document.getElementById('dueDate').value = task.dueDate ?? '';
+    document.getElementById('dueTime').value = task.dueTime ?? '';
+    document.getElementById('timeNeeded').value = task.timeNeeded ?? '';
+    document.getElementById('importance').value = String(task.importance ?? 3);
+    document.getElementById('taskCourse').value = task.courseId ?? '';
+
+    // Templates only apply when adding a task
+    document.getElementById('taskTemplateGroup')?.classList.add('d-none');
+
+    // Remember which task we are editing and relabel the submit button
+    editingId = task.id;
+    editingTask = task;
+    editingSeries = task.seriesId ? series : null;
+    fillDependencyOptions(task.dependsOn);
+    document.getElementById('taskSeriesScopeOne').checked = true;
+    fillRepeatRule(editingSeries?.rule ?? null);
+    updateSeriesControls();
+    const submitBtn = document.getElementById('taskFormSubmit');
+    if (submitBtn) submitBtn.textContent = 'Update Task';
+    showFormError('');
+
+    // Open the collapsible form panel
+    const collapse = document.getElementById('taskFormCollapse');
+    if (collapse) Collapse.getOrCreateInstance(collapse).show();
+}
+
+export function attachTaskForm(state, now) {
     // Grabing the <form> element by its ID
     const form = document.getElementById('taskForm');
 
     // If the form doesn't exist on this page, do nothing and exit early
     if (!form) return;
 
-    // Attach a "submit" event listener to the form
-    form.addEventListener('submit', async (e) => {
-        // Prevent the browser's default behaviour (page reload on submit)
-        e.preventDefault();
+    formState = state;
+    formNow = now;
 
-        // Read the "Task / Assignment" name from the input
-        // ?.value protects in case the element isn't found
-        // .trim() removes leading/trailing spaces
-        // Fallback to empty string if anything is missing
-        const name = document.getElementById('taskName')?.value?.trim() || '';
+    // When the form panel is closed (Cancel, toggle button, or after saving)
+    // drop out of edit mode and clear the fields
+    const collapse = document.getElementById('taskFormCollapse');
+    collapse?.addEventListener('hidden.bs.collapse', () => {
+        if (editingId) form.reset();
+        resetEditMode();
+    });
 
-        // Read the due date (a string in yyyy-mm-dd format from the input[type="date"])
-        const dueDate = document.getElementById('dueDate')?.value || '';
+    // Refresh the "Depends on" list each time the panel opens (tasks change live)
+    collapse?.addEventListener('show.bs.collapse', () => {
+        const current = [...(document.getElementById('taskDependsOn')?.selectedOptions || [])]
+            .map((opt) => opt.value);
+        fillDependencyOptions(editingTask ? editingTask.dependsOn : current);
+    });
 
-        // Read the raw "Time needed (hrs)" field as a string
-        const timeNeededRaw = document.getElementById('timeNeeded')?.value || '';
+    // Keep the repeat / scope sections in sync with the user's choices
+    document.getElementById('taskRepeat')?.addEventListener('change', updateRepeatVisibility);
+    document.querySelectorAll('input[name="taskSeriesScope"]').forEach((radio) =>
+        radio.addEventListener('change', updateSeriesControls)
+    );
 
-        // Convert the string to a floating-point number, so you can do math with it
-        const timeNeeded = parseFloat(timeNeededRaw);
+    // Templates: pick one to fill the form, move the date it's counted from,
+    // delete the picked one, or save the current fields as a new one
+    document.getElementById('taskTemplate')?.addEventListener('change', () =>
+        applyTemplate(selectedTemplate())
+    );
+    document.getElementById('taskTemplateFrom')?.addEventListener('change', (e) => {
+        const template = selectedTemplate();
+        if (template && e.target.value) {
+            document.getElementById('dueDate').value = templateDueDate(template, e.target.value);
+        }
+    });
+    document.getElementById('deleteTemplate')?.addEventListener('click', async () => {
+        const template = selectedTemplate();
+        if (!template) return;
+        try {
+            await deleteTaskTemplate(template.id);
+            document.getElementById('taskTemplate').value = '';
+            applyTemplate(null);
+        } catch (err) {
+            console.error('[TASKS] delete template failed:', err);
+            showFormError('Could not delete the template.');
+        }
+    });
+    document.getElementById('saveAsTemplate')?.addEventListener('click', (e) =>
+        saveFormAsTemplate(e.currentTarget)
+    );
 
-        // Read the "Importance" dropdown and convert it to an integer
-        // Default to '3' (Medium) if the element isn't found or is empty
-        const importance = parseInt(document.getElementById('importance')?.value || '3', 10);
+    // Attach a "submit" event listener to the form
+    form.addEventListener('submit', async (e) => {
+        // Prevent the browser's default behaviour (page reload on submit)
+        e.preventDefault();
+
+        const fields = readTaskForm();
 
-        // Basic validation:
+        // Basic validation (shared with updateTask/addTask):
         // - name must not be empty
-        // - dueDate must not be empty
-        // - timeNeeded must be a valid number (not NaN)
-        if (!name || !dueDate || Number.isNaN(timeNeeded)) return;
+        // - dueDate must be a valid date
+        // - timeNeeded must be a positive number
+        const problem = validateTaskFields(fields);
+        if (problem) {
+            showFormError(problem);
+            return;
+        }
 
-        // If validation passes, create the task in Firestore
-        // addTask will handle attaching the user, storing it, etc
-        await addTask({ name, dueDate, timeNeeded, importance });
+        try {
+            if (editingId && editingSeries && selectedScope() === 'future') {
+                // Editing every upcoming instance of a repeating series
+                await saveSeriesFuture(fields);
+            } else if (editingId) {
+                // Editing: patch the existing document so createdAt is kept
+                await updateTask(editingId, fields);
+            } else {
+                const rule = readRepeatRule(fields.dueDate);
+                if (rule) {
+                    // Repeating: store the series; its instances are generated from the rule
+                    const ruleProblem = validateRule(rule);
+                    if (ruleProblem) {
+                        showFormError(ruleProblem);
+                        return;
+                    }
+                    // (series don't carry a checklist or dependencies, so those are not copied)
+                    const { name, dueTime, timeNeeded, importance, courseId } = fields;
+                    await addTaskSeries({ name, dueTime, timeNeeded, importance, courseId, rule });
+                } else {
+                    // If validation passes, create the task in Firestore
+                    // addTask will handle attaching the user, storing it, etc
+                    // A task started from a template gets the template's checklist
+                    await addTask(templateSteps.length ? { ...fields, subtasks: templateSteps } : fields);
+                }
+            }
+        } catch (err) {
+            console.error('[TASKS] save failed:', err);
+            showFormError(err?.message || 'Could not save the task.');
+            return;
+        }
 
         // Reset the form fields back to their initial empty state
         e.target.reset();
-
-        // After submitting, collapse/hide the form (if using a Bootstrap Collapse wrapper)
-        const collapse = document.getElementById('taskFormCollapse');
+        resetEditMode();
 
         // Get the existing Collapse instance or create one if it doesn't exist,
         // then programmatically hide it
         if (collapse) Collapse.getOrCreateInstance(collapse).hide();
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,106 @@
+// features/tasks/overload.js
+
+// Capacity check across ALL incomplete tasks.
+// priorityForTask looks at one task at a time, so it never notices when
+// several tasks due around the same time need more hours than the study
+// schedule has. Here we go deadline by deadline and compare:
+//   needed    = total remaining hours of open tasks due by that deadline
+//   available = study hours between now and that deadline
+// If needed > available, those deadlines cannot all be met.
+
+import { studyIntervalsBetween, taskDueAt } from "./availability.js";
+import { remainingHours } from "./effort.js";
+
+// findOverloads(state, now)
+// -------------------------
+// Returns one entry per deadline that cannot be met, earliest first:
+// { dueAt: Date, needed: hours, available: hours, extra: hours, tasks: [task] }
+
+export function findOverloads(state, now) {
+  const n = now();
+
+  // Open tasks with a future deadline
+  const open = (state.tasks || [])
+    .map((t) => ({ t, due: taskDueAt(t) }))
+    .filter(({ t, due }) => !t.completed && !Number.isNaN(due.getTime()) && due > n)
+    .sort((a, b) => a.due - b.due);
+
+  const overloads = [];
+  let needed = 0;
+  const dueSoFar = [];
+
+  for (let i = 0; i < open.length; i++) {
+    const { t, due } = open[i];
+    needed += remainingHours(t);
+    dueSoFar.push(t);
+
+    // Only check once per distinct deadline (after adding every task due then)
+    if (open[i + 1] && open[i + 1].due.getTime() === due.getTime()) continue;
+
+    // Study hours from now until this deadline
+    let available = 0;
+    for (const seg of studyIntervalsBetween(state, n, due)) {
+      available += (seg.end - seg.start) / 3600000;
+    }
+
+    const extra = needed - available;
+    // Ignore rounding noise (under a minute)
+    if (extra > 1 / 60) {
+      overloads.push({ dueAt: due, needed, available, extra, tasks: [...dueSoFar] });
+    }
+  }
+
+  return overloads;
+}
+
+// Short "Thu, Nov 20" style label for a deadline
+// (with the time added when the task has a due time, e.g. "Thu, Nov 20, 9:00 AM")
+function fmtDue(date) {
+  const day = date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  const endOfDay = date.getHours() === 23 && date.getMinutes() === 59 && date.getSeconds() === 59;
+  return endOfDay
+    ? day
+    : `${day}, ${date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`;
+}
+
+// overloadMessageHtml(overloads)
+// ------------------------------
+// Builds the alert contents: the worst shortfall as a headline,
+// followed by one line per deadline that can't be met.
+
+function overloadMessageHtml(overloads) {
+  const worst = overloads.reduce((a, b) => (b.extra > a.extra ? b : a));
+
+  const lines = overloads
+    .map(
+      (o) =>
+        `<li>By ${fmtDue(o.dueAt)}: ${o.needed.toFixed(1)} hrs needed, ` +
+        `${o.available.toFixed(1)} hrs scheduled — add ${o.extra.toFixed(1)} hrs</li>`
+    )
+    .join("");
+
+  return (
+    `<strong>You can't finish everything on time.</strong> ` +
+    `Schedule ${worst.extra.toFixed(1)} more study hrs by ${fmtDue(worst.dueAt)}.` +
+    `<ul class="mb-0 mt-1 small">${lines}</ul>`
+  );
+}
+
+// renderOverloadWarnings(state, now)
+// ----------------------------------
+// Shows/hides the warning above the task list (#overloadTasksMsg)
+// and the banner above the calendar grid (#overloadBanner).
+
+export function renderOverloadWarnings(state, now) {
+  const overloads = findOverloads(state, now);
+  const html = overloads.length ? overloadMessageHtml(overloads) : "";
+
+  for (const id of ["overloadTasksMsg", "overloadBanner"]) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    el.innerHTML = html;
+    el.classList.toggle("d-none", !overloads.length);
+  }
+
+  return overloads;
+}
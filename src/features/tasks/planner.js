@@ -0,0 +1,134 @@
+// features/tasks/planner.js
+
+// Study-time planner.
+// priorityForTask (render.js) looks at each task on its own, so two tasks
+// due on the same day both "see" the same free hours. The planner instead
+// hands out each piece of study time to exactly one task:
+// - walk through the study schedule from "now" forward, one hour cell at a time
+// - give each piece to the open task with the earliest deadline
+//   (ties go to the more important task)
+// - a task stops receiving time once its remaining hours are covered
+// - a task that depends on others only receives time once they are covered;
+//   predecessors are handed time by the earliest deadline of what waits on them
+
+import { studyIntervalsBetween, taskDueAt } from "./availability.js";
+import { remainingHours } from "./effort.js";
+import { dependsOnIds } from "./dependencies.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// splitAtHours(intervals)
+// -----------------------
+// Cuts intervals at every hour boundary so each piece sits inside a
+// single calendar cell. [9:30–11:00] → [9:30–10:00], [10:00–11:00]
+
+function splitAtHours(intervals) {
+  const pieces = [];
+  for (const { start, end } of intervals) {
+    let cursor = start.getTime();
+    while (cursor < end.getTime()) {
+      // Next top-of-the-hour after the cursor (local time)
+      const nextHour = new Date(cursor);
+      nextHour.setMinutes(0, 0, 0);
+      const boundary = nextHour.getTime() + HOUR_MS;
+
+      const pieceEnd = Math.min(boundary, end.getTime());
+      pieces.push({ start: new Date(cursor), end: new Date(pieceEnd) });
+      cursor = pieceEnd;
+    }
+  }
+  return pieces;
+}
+
+// planStudyTime(state, now)
+// -------------------------
+// Returns:
+// segments: [{ start, end, taskId, taskName }] – study time reserved for a task
+// allocatedByTask: Map<taskId, hours> – how many hours each open task received
+// shortByTask: Map<taskId, hours> – hours still uncovered before the deadline
+// finishByTask: Map<taskId, Date> – when a fully covered task is expected to be done
+
+export function planStudyTime(state, now) {
+  const n = now();
+
+  // Only incomplete tasks with a future deadline and some work left take part
+  const open = (state.tasks || [])
+    .map((t) => ({ t, due: taskDueAt(t), need: remainingHours(t) * HOUR_MS }))
+    .filter(({ t, due, need }) => !t.completed && !Number.isNaN(due.getTime()) && due > n && need > 0);
+
+  const allocatedByTask = new Map();
+  const shortByTask = new Map();
+  const finishByTask = new Map();
+  const segments = [];
+
+  if (!open.length) return { segments, allocatedByTask, shortByTask, finishByTask };
+
+  // A predecessor has to be done before whatever waits on it, so it is
+  // ordered by the earliest deadline in its chain of dependents.
+  // (Repeating the pass open.length times settles chains of any length.)
+  const byId = new Map(open.map((o) => [o.t.id, o]));
+  open.forEach((o) => (o.orderDue = o.due.getTime()));
+  for (let pass = 0; pass < open.length; pass++) {
+    for (const o of open) {
+      for (const id of dependsOnIds(o.t)) {
+        const pred = byId.get(id);
+        if (pred && o.orderDue < pred.orderDue) pred.orderDue = o.orderDue;
+      }
+    }
+  }
+
+  // Earliest deadline first, higher importance wins ties
+  open.sort((a, b) => a.orderDue - b.orderDue || (b.t.importance ?? 3) - (a.t.importance ?? 3));
+
+  // Open predecessors of each task, as indexes into "open".
+  // Predecessors that aren't planned (completed, nothing left, overdue) don't hold it up.
+  const predIdx = open.map((o) =>
+    dependsOnIds(o.t)
+      .map((id) => open.findIndex((x) => x.t.id === id))
+      .filter((i) => i >= 0)
+  );
+
+  // Study time from now until the last deadline, split into per-hour pieces
+  const horizon = new Date(Math.max(...open.map((o) => o.due.getTime())));
+  const pieces = splitAtHours(studyIntervalsBetween(state, n, horizon));
+
+  // Remaining milliseconds of work per task (in the same order as "open")
+  const remaining = open.map((o) => o.need);
+
+  for (const piece of pieces) {
+    let cursor = piece.start.getTime();
+
+    while (cursor < piece.end.getTime()) {
+      // First task (by deadline) that still needs time, is not due yet
+      // and isn't waiting for a predecessor
+      const idx = open.findIndex(
+        (o, i) =>
+          remaining[i] > 0 &&
+          o.due.getTime() > cursor &&
+          predIdx[i].every((k) => remaining[k] <= 0)
+      );
+      if (idx < 0) break;
+
+      const { t, due } = open[idx];
+      const take = Math.min(remaining[idx], piece.end.getTime() - cursor, due.getTime() - cursor);
+
+      segments.push({
+        start: new Date(cursor),
+        end: new Date(cursor + take),
+        taskId: t.id,
+        taskName: t.name,
+      });
+      remaining[idx] -= take;
+      cursor += take;
+      if (remaining[idx] <= 0) finishByTask.set(t.id, new Date(cursor));
+    }
+  }
+
+  // Convert the per-task totals back into hours
+  open.forEach(({ t, need }, i) => {
+    allocatedByTask.set(t.id, (need - remaining[i]) / HOUR_MS);
+    shortByTask.set(t.id, remaining[i] / HOUR_MS);
+  });
+
+  return { segments, allocatedByTask, shortByTask, finishByTask };
+}
@@ -0,0 +1,253 @@
+// features/tasks/quickAdd.js
+
+// Quick-add: type a task on one line instead of opening the task form.
+//   "Lab 4 report fri 3h high"          → due this Friday, 3 hrs, importance 4
+//   "Read ch.5 due 2026-11-02 1.5h"     → due Nov 2, 1.5 hrs
+//   "Quiz prep tomorrow 5pm 2h #COMP1510 !5"
+// Recognised words are taken out; whatever is left is the task name.
+// - due date: today, tomorrow, mon…sun (next one, today included),
+//   "next fri" (a week later), "in 3 days", yyyy-mm-dd (optionally after "due"/"by")
+// - due time: 5pm, 9:30am, 17:00 (optionally after "at")
+// - time needed: 3h, 1.5hrs, 90m, 45min
+// - importance: critical, high, medium, low, "nice-to-have", or !1…!5
+// - course: #name (course name without spaces, any case)
+// The preview under the input shows what was understood before saving.
+
+import { addTask } from "../../services/firestore.js";
+import { toDateStr } from "./recurrence.js";
+import { escapeHtml } from "../../html.js";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const IMPORTANCE_WORDS = {
+  critical: 5,
+  urgent: 5,
+  high: 4,
+  medium: 3,
+  med: 3,
+  normal: 3,
+  low: 2,
+  "nice-to-have": 1,
+  optional: 1,
+};
+const IMPORTANCE_LABELS = { 5: "Critical", 4: "High", 3: "Medium", 2: "Low", 1: "Nice to have" };
+
+// "fri", "friday", "thurs", … → 0..6 (Sun = 0, like Date#getDay), or -1
+function weekdayIndex(word) {
+  const w = word.toLowerCase();
+  if (w.length < 3) return -1;
+  return WEEKDAYS.findIndex((day) => day.startsWith(w));
+}
+
+// Days from today until the next given weekday (0 when it is today)
+function daysUntil(today, weekday) {
+  return (weekday - today.getDay() + 7) % 7;
+}
+
+// today + n days as yyyy-mm-dd
+function addDays(today, n) {
+  const d = new Date(today);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + n);
+  return toDateStr(d);
+}
+
+// One date word → yyyy-mm-dd, or null
+function dateFrom(word, today) {
+  const w = word.toLowerCase();
+  if (w === "today") return addDays(today, 0);
+  if (w === "tomorrow" || w === "tmr") return addDays(today, 1);
+  // Round trip through Date: 2026-02-30 would roll over to Mar 2
+  if (/^\d{4}-\d{2}-\d{2}$/.test(word) && toDateStr(new Date(`${word}T00:00:00`)) === word) {
+    return word;
+  }
+  const weekday = weekdayIndex(word);
+  if (weekday >= 0) return addDays(today, daysUntil(today, weekday));
+  return null;
+}
+
+// "5pm", "9:30am", "17:00" → "HH:MM", or null
+function parseClock(word) {
+  const m = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/i.exec(word);
+  if (!m || (!m[2] && !m[3])) return null; // a bare number isn't a time
+  let hour = Number(m[1]);
+  const minute = Number(m[2] ?? 0);
+  const suffix = m[3]?.toLowerCase();
+  if (suffix) {
+    if (hour < 1 || hour > 12) return null;
+    if (suffix === "pm" && hour !== 12) hour += 12;
+    if (suffix === "am" && hour === 12) hour = 0;
+  }
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+// "3h", "1.5hrs", "90m", "45min" → hours, or null
+function parseDuration(word) {
+  const m = /^(\d+(?:\.\d+)?)(h|hr|hrs|hour|hours|m|min|mins|minutes)$/i.exec(word);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return m[2].toLowerCase().startsWith("h") ? n : n / 60;
+}
+
+/**
+ * Parses one quick-add line.
+ *
+ * @param {string} text - What the user typed.
+ * @param {Date} today - Current date (offset-aware now()).
+ * @param {object[]} courses - state.courses, for #course tags.
+ * @returns {{ name, dueDate, dueTime, timeNeeded, importance, courseId }}
+ *   Fields that weren't found are null (importance defaults to 3).
+ */
+export function parseQuickAdd(text, today, courses = []) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  const fields = {
+    name: "",
+    dueDate: null,
+    dueTime: null,
+    timeNeeded: null,
+    importance: 3,
+    courseId: null,
+  };
+  const nameWords = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+    const next = words[i + 1];
+
+    // "due"/"by" only count as keywords when a date follows
+    if ((lower === "due" || lower === "by") && next && dateFrom(next, today) !== null) {
+      continue;
+    }
+    // "at 5pm"
+    if (lower === "at" && next && parseClock(next)) continue;
+
+    // "in 3 days" / "in 2 weeks"
+    if (lower === "in" && /^\d+$/.test(next ?? "") && /^(days?|weeks?)$/i.test(words[i + 2] ?? "")) {
+      const n = Number(next) * (/^weeks?$/i.test(words[i + 2]) ? 7 : 1);
+      fields.dueDate = addDays(today, n);
+      i += 2;
+      continue;
+    }
+
+    // "next fri": the one after the coming one
+    if (lower === "next" && next && weekdayIndex(next) >= 0) {
+      fields.dueDate = addDays(today, daysUntil(today, weekdayIndex(next)) + 7);
+      i += 1;
+      continue;
+    }
+
+    const date = dateFrom(word, today);
+    if (date !== null) {
+      fields.dueDate = date;
+      continue;
+    }
+
+    const clock = parseClock(word);
+    if (clock) {
+      fields.dueTime = clock;
+      continue;
+    }
+
+    const hours = parseDuration(word);
+    if (hours !== null) {
+      fields.timeNeeded = hours;
+      continue;
+    }
+
+    if (lower in IMPORTANCE_WORDS) {
+      fields.importance = IMPORTANCE_WORDS[lower];
+      continue;
+    }
+    if (/^![1-5]$/.test(word)) {
+      fields.importance = Number(word[1]);
+      continue;
+    }
+
+    if (word.startsWith("#") && word.length > 1) {
+      const tag = lower.slice(1);
+      const course = courses.find((c) => c.name.replace(/\s+/g, "").toLowerCase() === tag);
+      if (course) {
+        fields.courseId = course.id;
+        continue;
+      }
+    }
+
+    nameWords.push(word);
+  }
+
+  fields.name = nameWords.join(" ");
+  return fields;
+}
+
+// Preview line under the input: what will be saved, or what is missing
+function renderPreview(fields, courses) {
+  const preview = document.getElementById("quickAddPreview");
+  const submit = document.getElementById("quickAddSubmit");
+  if (!preview) return;
+
+  const missing = [];
+  if (!fields.name) missing.push("a name");
+  if (!fields.dueDate) missing.push("a due date (e.g. fri, tomorrow, 2026-11-02)");
+  if (!fields.timeNeeded) missing.push("the hours needed (e.g. 3h)");
+
+  const due = fields.dueDate
+    ? new Date(`${fields.dueDate}T${fields.dueTime ?? "00:00"}`).toLocaleDateString(undefined, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    }) + (fields.dueTime ? ` ${fields.dueTime}` : "")
+    : "—";
+  const course = courses.find((c) => c.id === fields.courseId);
+
+  preview.innerHTML = `
+    <span class="me-2"><strong>${escapeHtml(fields.name) || "—"}</strong></span>
+    <span class="me-2">Due: ${due}</span>
+    <span class="me-2">${fields.timeNeeded ? `${+fields.timeNeeded.toFixed(2)} hrs` : "— hrs"}</span>
+    <span class="me-2">Importance: ${IMPORTANCE_LABELS[fields.importance]}</span>
+    ${course ? `<span class="me-2">Course: ${escapeHtml(course.name)}</span>` : ""}
+    ${missing.length ? `<div class="text-danger">Still needs ${missing.join(", ")}.</div>` : ""}`;
+
+  if (submit) submit.disabled = missing.length > 0;
+}
+
+/**
+ * Wires the quick-add input: live preview while typing, then saves with
+ * addTask like the task form (addTask validates the fields too).
+ */
+export function attachQuickAdd(state, now) {
+  const form = document.getElementById("quickAddForm");
+  const input = document.getElementById("quickAddInput");
+  if (!form || !input) return;
+
+  const preview = document.getElementById("quickAddPreview");
+  const parse = () => parseQuickAdd(input.value, now(), state.courses || []);
+
+  input.addEventListener("input", () => {
+    if (!input.value.trim()) {
+      if (preview) preview.innerHTML = "";
+      document.getElementById("quickAddSubmit").disabled = true;
+      return;
+    }
+    renderPreview(parse(), state.courses || []);
+  });
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const fields = parse();
+    try {
+      await addTask({ ...fields, dependsOn: [] });
+      input.value = "";
+      if (preview) preview.innerHTML = "";
+      document.getElementById("quickAddSubmit").disabled = true;
+    } catch (err) {
+      console.error("[TASKS] quick add failed:", err);
+      if (preview) {
+        preview.insertAdjacentHTML(
+          "beforeend",
+          `<div class="text-danger">${escapeHtml(err?.message || "Could not add the task.")}</div>`
+        );
+      }
+    }
+  });
+}
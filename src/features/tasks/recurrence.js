@@ -0,0 +1,154 @@
+// features/tasks/recurrence.js
+
+// Recurring tasks.
+// A series is stored once in users/{uid}/taskSeries/{seriesId} with a rule:
+//   { type: "weekly" | "days" | "weekdays", every, weekdays, startDate, until }
+// - weekly:   every 7 days from startDate
+// - days:     every "every" days from startDate
+// - weekdays: on each weekday in "weekdays" (0 = Mon … 6 = Sun), from startDate
+// "until" (yyyy-mm-dd) is optional and inclusive.
+//
+// Instances are normal task docs (with seriesId + dueDate) created ahead of
+// time, so they show up in renderTasks and count in the priority math like
+// any other task. Completing one instance only touches that doc.
+
+import { createSeriesInstance } from "../../services/firestore.js";
+
+// How far ahead instances are generated
+export const RECURRENCE_HORIZON_DAYS = 28;
+
+const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Local yyyy-mm-dd for a Date (toISOString would shift to UTC)
+export function toDateStr(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+// Local midnight Date for a yyyy-mm-dd string
+function fromDateStr(str) {
+  return new Date(`${str}T00:00:00`);
+}
+
+// Whole days between two local-midnight dates (DST safe)
+function daysBetween(a, b) {
+  return Math.round((b - a) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Check a repeat rule before it is saved.
+ *
+ * @param {object} rule - { type, every, weekdays, startDate, until }
+ * @returns {string|null} A user friendly error message, or null if valid.
+ */
+export function validateRule(rule) {
+  if (!["weekly", "days", "weekdays"].includes(rule?.type)) {
+    return "Please choose how often the task repeats.";
+  }
+  if (rule.type === "days" && !(Number.isInteger(rule.every) && rule.every >= 1)) {
+    return "Repeat interval must be a whole number of days (1 or more).";
+  }
+  if (rule.type === "weekdays" && !rule.weekdays?.length) {
+    return "Pick at least one weekday to repeat on.";
+  }
+  if (rule.until && rule.until < rule.startDate) {
+    return "The repeat end date must be on or after the due date.";
+  }
+  return null;
+}
+
+/**
+ * List the due dates (yyyy-mm-dd) a rule produces between two dates (inclusive).
+ *
+ * @param {object} rule - Series rule.
+ * @param {string} fromStr - First date to consider.
+ * @param {string} toStr - Last date to consider.
+ * @returns {string[]} Occurrence dates in ascending order.
+ */
+export function occurrencesBetween(rule, fromStr, toStr) {
+  if (!rule?.startDate) return [];
+
+  const start = fromDateStr(rule.startDate);
+  let from = fromDateStr(fromStr);
+  let to = fromDateStr(toStr);
+  if (from < start) from = start;
+  if (rule.until && fromDateStr(rule.until) < to) to = fromDateStr(rule.until);
+
+  const dates = [];
+  for (let d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
+    const offset = daysBetween(start, d);
+
+    let hit = false;
+    if (rule.type === "weekly") hit = offset % 7 === 0;
+    else if (rule.type === "days") hit = offset % (rule.every || 1) === 0;
+    else if (rule.type === "weekdays") hit = rule.weekdays.includes((d.getDay() + 6) % 7);
+
+    if (hit) dates.push(toDateStr(d));
+  }
+  return dates;
+}
+
+/**
+ * Short human description of a rule, e.g. "Weekly", "Every 3 days",
+ * "Mon, Wed until Dec 5".
+ */
+export function describeRule(rule) {
+  if (!rule) return "";
+  let text =
+    rule.type === "weekly"
+      ? "Weekly"
+      : rule.type === "days"
+        ? rule.every === 1
+          ? "Daily"
+          : `Every ${rule.every} days`
+        : [...rule.weekdays].sort().map((i) => DAY_LABELS[i]).join(", ");
+
+  if (rule.until) {
+    const until = fromDateStr(rule.until).toLocaleDateString(undefined, {
+      month: "short",
+      day: "numeric",
+    });
+    text += ` until ${until}`;
+  }
+  return text;
+}
+
+/**
+ * Make sure every series has task docs for its occurrences from today
+ * up to RECURRENCE_HORIZON_DAYS ahead.
+ * Skipped dates (deleted instances) are never re-created.
+ *
+ * @param {object} state - Needs state.tasks and state.taskSeries.
+ * @param {function} now - Returns the current Date.
+ */
+export async function syncSeriesInstances(state, now) {
+  const today = now();
+  const fromStr = toDateStr(today);
+  const horizon = new Date(today);
+  horizon.setDate(horizon.getDate() + RECURRENCE_HORIZON_DAYS);
+  const toStr = toDateStr(horizon);
+
+  // Dates each series already has an instance for
+  const existing = new Set(
+    (state.tasks || [])
+      .filter((t) => t.seriesId)
+      .map((t) => `${t.seriesId}_${t.occurrenceDate ?? t.dueDate}`)
+  );
+
+  const writes = [];
+  for (const series of state.taskSeries || []) {
+    const skipped = new Set(series.skippedDates || []);
+    for (const date of occurrencesBetween(series.rule, fromStr, toStr)) {
+      if (skipped.has(date) || existing.has(`${series.id}_${date}`)) continue;
+      writes.push(createSeriesInstance(series, date));
+    }
+  }
+
+  try {
+    await Promise.all(writes);
+  } catch (err) {
+    console.error("[SERIES] generating instances failed:", err);
+  }
+}
@@ -1,139 +1,105 @@
 // features/tasks/render.js
 
+// Bootstrap tab controller (switching to the Home tab to show a card)
+import { Tab } from "bootstrap";
+
 // Importing the priority calculation helpers.
 // These functions are responsible for turning time available and importance into a priority score.
 import {
   calculatePriority,
   calculateUrgency,
   calculateSlackMargin,
+  normalizePrioritySettings,
 } from "../../priority.js";
 
 // Import Firestore actions for toggling completion and deleting tasks
-import { toggleTaskComplete, deleteTask } from "../../services/firestore.js";
-
-//  mergeIntervals(intervals)
-//  -------------------------
-//  Utility function that:
-//  - Takes an array of time intervals { start, end }
-//  - Combines overlapping or touching intervals into a single continuous block
-// [ [1–3], [2–4] ] → [ [1–4] ]
-
-function mergeIntervals(intervals) {
-  if (!intervals.length) return [];
-
-  // Convert each interval's start/end into Date objects in case they are strings,
-  // filter out any invalid intervals where end <= start,
-  // and sort them by start time (earliest first).
-  const arr = intervals
-    .map((i) => ({ start: new Date(i.start), end: new Date(i.end) }))
-    .filter((i) => i.end > i.start)
-    .sort((a, b) => a.start - b.start);
-
-  // Start with the first interval as our initial merged block
-  const merged = [arr[0]];
-
-  // Walk through all subsequent intervals and merge if overlapping
-  for (let i = 1; i < arr.length; i++) {
-    const prev = merged[merged.length - 1]; // This is the last merged interval
-    const cur = arr[i]; // current interval we’re inspecting
-
-    // If the current interval starts before or exactly when the previous one ends,
-    // they overlap (or touch) and should be merged.
-    if (cur.start <= prev.end) {
-      // Extend the previous interval's end if the current one goes later
-      if (cur.end > prev.end) prev.end = cur.end;
-    } else {
-      // Otherwise there is a gap then it will push the current interval as a new block
-      merged.push(cur);
-    }
-  }
-  return merged;
-}
+import {
+  toggleTaskComplete,
+  deleteTask,
+  skipSeriesOccurrence,
+  updateTask,
+  logTaskTime,
+  startTaskTimer,
+  stopTaskTimer,
+  restoreArchivedTask,
+  deleteArchivedTask,
+  restoreTask,
+  unskipSeriesOccurrence,
+} from "../../services/firestore.js";
+
+// "Undo" toast after deleting or completing a task
+import { offerUndo } from "../undo/toast.js";
+
+// Hours left on a task once finished subtasks are taken off
+import {
+  remainingHours,
+  doneSubtaskHours,
+  loggedHours,
+  timerStartedAt,
+} from "./effort.js";
 
-// studyMinutesUntil(dueDateStr, state, now)
-// ----------------------------------------
-// Calculates how many minutes of scheduled study time you have
-// between "now" and the end of the given due date, based on ALL
-// study blocks stored in state.studyAll.
-// What everything means is below:
-// dueDateStr: task.dueDate, e.g., "2025-11-20"
-// state: global state object that contains state.studyAll
-// now: function that returns the current Date when called (so it’s testable)
+// Describes a repeating series' rule for the card badge
+import { describeRule } from "./recurrence.js";
 
-function studyMinutesUntil(dueDateStr, state, now) {
-  // Current time (e.g., new Date())
-  const n = now();
-  // Compute the "end of the due date" as 23:59:59 local time
-  const due = new Date(`${dueDateStr}T23:59:59`);
-  // If due date is invalid or already passed, you have 0 minutes left
-  if (Number.isNaN(due.getTime()) || due <= n) return 0;
-
-  // clipped will hold the portion of each study block that lies between now and the due date.
-  const clipped = [];
-  // Loop through every available study block in the schedule
-  for (const b of state.studyAll) {
-    // Ensuring that the start and end are Date objects
-    const start = b.start instanceof Date ? b.start : new Date(b.start);
-    const end = b.end instanceof Date ? b.end : new Date(b.end);
-
-    // Only consider blocks that intersect the [now, due] window.
-    // Condition: block starts before the due time AND ends after the current time.
-    if (!(start < due && end > n)) continue;
-
-    // Clip the block so it starts no earlier than "now"
-    const segStart = new Date(Math.max(start.getTime(), n.getTime()));
-
-    // Then the ones that end no later than "due"
-    const segEnd = new Date(Math.min(end.getTime(), due.getTime()));
-
-    // If there is still a valid positive-length segment, add it to the list
-    if (segEnd > segStart) clipped.push({ start: segStart, end: segEnd });
-  }
+// Study time helpers shared with the planner
+import { studyIntervalsBetween, taskDueAt } from "./availability.js";
 
-  // 2) Base pattern across days due, minus exclusions
-  const dayMs = 24 * 60 * 60 * 1000;
-  const startDay = new Date(n); startDay.setHours(0, 0, 0, 0);
+// Assigns concrete study time to tasks (earliest deadline first)
+import { planStudyTime } from "./planner.js";
 
-  for (let t = startDay.getTime(); t <= due.getTime(); t += dayMs) {
-    const d = new Date(t);
-    const weekday = (d.getDay() + 6) % 7; // Mon=0..Sun=6
+// Warns when the open tasks need more hours than the schedule has
+import { renderOverloadWarnings } from "./overload.js";
 
-    // compute Monday of this date for week id
-    const weekStart = new Date(d);
-    weekStart.setDate(d.getDate() - weekday);
-    weekStart.setHours(0, 0, 0, 0);
-    const weekId = (new Date(weekStart.getTime() - weekStart.getTimezoneOffset() * 60000))
-      .toISOString().slice(0, 10); // YYYY-MM-DD (Mon UTC)
+// Course filter bar + the check deciding which tasks are shown
+import { DEFAULT_TASK_FILTERS, setTaskFilters, taskMatchesFilters, renderFilterBar } from "./filters.js";
 
-    const excl = state.baseExclusionsByWeek?.get(weekId);
+// Multi-level sort from the sort menu
+import { compareTasks, normalizeSort } from "./sort.js";
 
-    for (const p of state.baseStudyPattern || []) {
-      if (p.weekday !== weekday) continue;
-      const slotStart = new Date(d);
-      slotStart.setHours(p.hour, 0, 0, 0);
-      const slotEnd = new Date(slotStart.getTime() + 60 * 60 * 1000);
-      const slotKey = slotStart.getTime();
+// Completion dates + loading the archive for the Done view
+import { completedAtDate, setTaskView, showArchivedTasks } from "./archive.js";
 
-      if (excl?.has?.(slotKey)) continue;         // skip excluded
-      if (!(slotStart < due && slotEnd > n)) continue;
+// Selection mode: checkbox per card + the bulk action bar
+import { renderBulkBar, toggleTaskSelection } from "./bulk.js";
 
-      const segStart = new Date(Math.max(slotStart.getTime(), n.getTime()));
-      const segEnd = new Date(Math.min(slotEnd.getTime(), due.getTime()));
-      if (segEnd > segStart) clipped.push({ start: segStart, end: segEnd });
-    }
-  }
+// Which tasks block a task, and when they should be done
+import { openPredecessors, predecessorsDoneAt } from "./dependencies.js";
 
-  // Merge overlaps (you already have mergeIntervals above)
-  // Merge any overlapping segments to avoid double-counting time
-  const merged = mergeIntervals(clipped);
+// Looks up a task's course (name + colour)
+import { courseById } from "../settings/courses.js";
 
-  // Sum up total minutes across all merged segments
-  let minutes = 0;
-  for (const seg of merged)
+// Opens the shared task form in edit mode for a given task
+import { startTaskEdit } from "./form.js";
 
-    // Difference of Dates gives milliseconds → divide by 1000 * 60 to get minutes
-    minutes += (seg.end - seg.start) / 60000;
-  return minutes;
+// Escapes user text before it goes into innerHTML
+import { escapeHtml } from "../../html.js";
+
+// Keeps the URL in step when revealTaskCard clears the filters
+import { syncUrlState } from "../url/urlState.js";
+
+// studyWindowsUntil(task, state, now, startAt)
+// --------------------------------------------
+// Finds the scheduled study time you have between "now" (or startAt, when the
+// task has to wait for another task first) and the moment
+// the task is due (its due time, or the end of the due date), based on ALL study blocks stored in
+// state.studyAll plus the base pattern (minus exclusions).
+// Returns the merged { start, end } windows so they can be both
+// summed up and listed on the card ("Why this priority?").
+// What everything means is below:
+// task: uses task.dueDate, e.g., "2025-11-20", and optional task.dueTime, e.g., "09:00"
+// state: global state object that contains state.studyAll
+// now: function that returns the current Date when called (so it’s testable)
+
+function studyWindowsUntil(task, state, now, startAt = null) {
+  // Current time (e.g., new Date()), or later when predecessors finish later
+  const n = startAt && startAt > now() ? startAt : now();
+  // Compute when the task is due (due time, or 23:59:59 local time when there is none)
+  const due = taskDueAt(task);
+  // If due date is invalid or already passed, you have no study time left
+  if (Number.isNaN(due.getTime()) || due <= n) return [];
+
+  // Persisted blocks + base pattern (minus exclusions), clipped and merged
+  return studyIntervalsBetween(state, n, due);
 }
 
 // priorityForTask(task, state, now)
@@ -143,33 +109,415 @@ function studyMinutesUntil(dueDateStr, state, now) {
 // margin: slack ratio (e.g., timeAvail/timeNeeded or whatever calculateSlackMargin does)
 // urgency: how urgent the task is (based on margin)
 // score: final priority score combining urgency + importance
+// windows: the study windows that were counted for timeAvail
+// startsAt: when its predecessors are expected to be done (null = not blocked)
+// plan: the planStudyTime result (used for predecessors' expected finish)
+// Also used by the calendar's due markers (calendar/deadlines.js).
+
+export function priorityForTask(task, state, now, plan) {
+  // A blocked task can only use study time after its predecessors are done
+  const startsAt = predecessorsDoneAt(task, state, plan);
+
+  // Study windows between now (or startsAt) and this task's due date
+  const windows = studyWindowsUntil(task, state, now, startsAt);
 
-function priorityForTask(task, state, now) {
-  // Total study minutes between now and this task's due date
-  const studyMins = studyMinutesUntil(task.dueDate, state, now);
+  // Sum up total minutes across all merged windows
+  let studyMins = 0;
+  for (const seg of windows)
+
+    // Difference of Dates gives milliseconds → divide by 1000 * 60 to get minutes
+    studyMins += (seg.end - seg.start) / 60000;
 
   // Convert minutes to hours so it matches "timeNeeded" units
   const timeAvail = studyMins / 60;
 
   // Slack ratio: bigger margin = more time than needed; smaller = you're in trouble
-  const margin = calculateSlackMargin(task.timeNeeded, timeAvail);
+  // Uses the hours still left (finished subtasks no longer count)
+  const margin = calculateSlackMargin(remainingHours(task), timeAvail);
+
+  // The user's own weights from the Settings tab (defaults when not set)
+  const settings = normalizePrioritySettings(state.prioritySettings);
 
   // Convert slack margin into an urgency measure
-  const urgency = calculateUrgency(margin);
+  const urgency = calculateUrgency(margin, settings.urgencyThresholds);
 
   // Combine urgency with importance (1–5) to get a final priority score
-  const score = calculatePriority(urgency, task.importance ?? 3);
+  const score = calculatePriority(
+    urgency,
+    task.importance ?? 3,
+    settings.urgencyMultiplier
+  );
 
   // Return all the computed values so we can display them and sort by them
-  return { timeAvail, margin, urgency, score };
+  return { timeAvail, margin, urgency, score, windows, settings, startsAt };
+}
+
+// Ids of tasks whose "Why this priority?" panel is open,
+// so the panel stays open when the list re-renders after a snapshot.
+const openExplanations = new Set();
+
+// Formats one study window as e.g. "Mon, Nov 17 · 9:00 AM – 11:00 AM"
+function fmtWindow({ start, end }) {
+  const day = start.toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  const time = (d) =>
+    d.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+  return `${day} · ${time(start)} – ${time(end)}`;
+}
+
+// Formats a single moment as e.g. "Mon, Nov 17 · 9:00 AM"
+function fmtMoment(d) {
+  const day = d.toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  return `${day} · ${d.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`;
+}
+
+// priorityExplanationHtml(task, p, importanceLabel)
+// -------------------------------------------------
+// Builds the body of the "Why this priority?" panel from the numbers
+// priorityForTask already computed, so the colour and sort order can be trusted.
+
+function priorityExplanationHtml(task, p, importanceLabel) {
+  const importance = task.importance ?? 3;
+  const { urgencyMultiplier, urgencyThresholds } = p.settings;
+
+  // Margin range that produced this urgency level
+  const lower = urgencyThresholds[p.urgency - 2];
+  const upper = urgencyThresholds[p.urgency - 1];
+  const range =
+    lower === undefined
+      ? `under ${upper}`
+      : upper === undefined
+        ? `${lower} or more`
+        : `${lower} – ${upper}`;
+
+  // Slack margin in words: share of the remaining study time this task needs
+  const marginText =
+    p.timeAvail > 0
+      ? `${p.margin.toFixed(2)} (needs ${(p.margin * 100).toFixed(0)}% of your study time before it's due)`
+      : "no study time scheduled before it's due";
+
+  // Study windows that were counted (capped so the card stays short)
+  const maxWindows = 6;
+  const windowItems = p.windows
+    .slice(0, maxWindows)
+    .map((w) => `<li>${fmtWindow(w)}</li>`)
+    .join("");
+  const moreWindows =
+    p.windows.length > maxWindows
+      ? `<li class="text-muted">+ ${p.windows.length - maxWindows} more</li>`
+      : "";
+  const windowsHtml = p.windows.length
+    ? `<ul class="mb-0 ps-3">${windowItems}${moreWindows}</ul>`
+    : `<div class="text-muted">None</div>`;
+
+  // Blocked tasks only count study time after their predecessors are done
+  const startsRow = p.startsAt
+    ? `<dt class="col-5">Counting from</dt>
+      <dd class="col-7">${fmtMoment(p.startsAt)} (when the tasks it depends on should be done)</dd>`
+    : "";
+
+  return `
+    <dl class="row mb-0">
+      ${startsRow}
+      <dt class="col-5">Study hrs left</dt>
+      <dd class="col-7">${p.timeAvail.toFixed(1)}</dd>
+      <dt class="col-5">Slack margin</dt>
+      <dd class="col-7">${marginText}</dd>
+      <dt class="col-5">Urgency</dt>
+      <dd class="col-7">${p.urgency} / 5 (margin ${range})</dd>
+      <dt class="col-5">Importance</dt>
+      <dd class="col-7">${importance} – ${importanceLabel}</dd>
+      <dt class="col-5">Score</dt>
+      <dd class="col-7">${p.urgency} × ${urgencyMultiplier} + ${importance} = ${p.score.toFixed(2)}</dd>
+    </dl>
+    <div class="fw-semibold mt-1">Study windows counted</div>
+    ${windowsHtml}`;
+}
+
+// checklistHtml(task)
+// -------------------
+// Progress bar + checklist items (each with its own hour estimate)
+// + a small "add a step" form. Finished items come off the remaining hours.
+
+function checklistHtml(task) {
+  const subtasks = task.subtasks || [];
+  const total = Number(task.timeNeeded ?? 0);
+  const done = doneSubtaskHours(task);
+  const percent = total > 0 ? Math.min(100, (done / total) * 100) : 0;
+
+  const progress = subtasks.length
+    ? `<div class="d-flex justify-content-between small text-muted">
+        <span>${done.toFixed(1)} of ${total.toFixed(1)} hrs done</span>
+        <span>${remainingHours(task).toFixed(1)} hrs left</span>
+      </div>
+      <div class="progress mb-2" style="height: 6px;" role="progressbar"
+        aria-valuenow="${percent.toFixed(0)}" aria-valuemin="0" aria-valuemax="100">
+        <div class="progress-bar bg-success" style="width: ${percent}%"></div>
+      </div>`
+    : "";
+
+  const items = subtasks
+    .map(
+      (s) => `
+      <li class="d-flex align-items-center gap-2">
+        <input type="checkbox" class="form-check-input mt-0 subtask-toggle"
+          data-subtask-id="${s.id}" ${s.done ? "checked" : ""}
+          aria-label="Mark ${escapeHtml(s.title)} done">
+        <span class="flex-grow-1 ${s.done ? "text-decoration-line-through text-muted" : ""}">${escapeHtml(s.title)}</span>
+        <span class="text-muted">${Number(s.hours).toFixed(1)}h</span>
+        <button type="button" class="btn btn-link btn-sm p-0 text-danger subtask-remove"
+          data-subtask-id="${s.id}" aria-label="Remove step">×</button>
+      </li>`
+    )
+    .join("");
+
+  const addForm = task.completed
+    ? ""
+    : `<form class="subtask-add input-group input-group-sm">
+        <input name="title" class="form-control" placeholder="Add a step" aria-label="Step name">
+        <input name="hours" type="number" class="form-control subtask-hours" step="0.25" min="0.25"
+          placeholder="hrs" aria-label="Step hours">
+        <button class="btn btn-outline-secondary" type="submit">Add</button>
+      </form>`;
+
+  return `
+    <div class="subtasks mb-2">
+      ${progress}
+      ${items ? `<ul class="list-unstyled small mb-2">${items}</ul>` : ""}
+      ${addForm}
+    </div>`;
+}
+
+// Formats elapsed milliseconds as "h:mm:ss"
+function fmtElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const sec = String(total % 60).padStart(2, "0");
+  return `${h}:${m}:${sec}`;
+}
+
+// One interval keeps every running timer on screen ticking.
+// It is started by renderTasks when a card has a running timer.
+let timerTickId = null;
+function ensureTimerTick(now) {
+  if (timerTickId !== null) return;
+  timerTickId = setInterval(() => {
+    const els = document.querySelectorAll(".timer-elapsed[data-started]");
+    if (!els.length) {
+      clearInterval(timerTickId);
+      timerTickId = null;
+      return;
+    }
+    const n = now().getTime();
+    els.forEach((el) => {
+      el.textContent = fmtElapsed(n - Number(el.dataset.started));
+    });
+  }, 1000);
+}
+
+// timeLogHtml(task, now)
+// ----------------------
+// Open tasks: logged hours, a start/stop timer and a manual "log hours" form.
+// Completed tasks: estimated vs actual, so estimates can be improved.
+
+function timeLogHtml(task, now) {
+  const logged = loggedHours(task);
+  const estimate = Number(task.timeNeeded ?? 0);
+
+  if (task.completed) {
+    if (!logged) return "";
+    const diff = estimate > 0 ? ((logged - estimate) / estimate) * 100 : 0;
+    const diffText =
+      estimate > 0 ? ` (${diff >= 0 ? "+" : ""}${diff.toFixed(0)}%)` : "";
+    return `<p class="mb-2 small text-muted">Estimated ${estimate.toFixed(
+      1
+    )} hrs · Actual ${logged.toFixed(1)} hrs${diffText}</p>`;
+  }
+
+  const started = timerStartedAt(task);
+  const timerBtn = started
+    ? `<button type="button" class="btn btn-sm btn-danger timer-toggle">
+        ■ Stop <span class="timer-elapsed" data-started="${started.getTime()}">${fmtElapsed(
+      now().getTime() - started.getTime()
+    )}</span>
+      </button>`
+    : `<button type="button" class="btn btn-sm btn-outline-secondary timer-toggle">▶ Start timer</button>`;
+
+  return `
+    <div class="time-log mb-2">
+      <div class="d-flex justify-content-between align-items-center small mb-1">
+        <span><strong>Logged:</strong> ${logged.toFixed(1)} hrs</span>
+        ${timerBtn}
+      </div>
+      <form class="log-time input-group input-group-sm">
+        <input name="hours" type="number" class="form-control" step="0.25" min="0.25"
+          placeholder="hrs worked" aria-label="Hours worked">
+        <button class="btn btn-outline-secondary" type="submit">Log</button>
+      </form>
+    </div>`;
+}
+
+// deleteWithUndo(t, remove)
+// -------------------------
+// Deletes a task (remove = deleteTask or deleteArchivedTask) and offers to
+// undo it. A deleted series instance is skipped first so it isn't generated
+// again; undo brings the doc back and forgets the skip.
+
+async function deleteWithUndo(t, remove, afterUndo = () => {}) {
+  const date = t.occurrenceDate ?? t.dueDate;
+  if (t.seriesId) await skipSeriesOccurrence(t.seriesId, date);
+  const removed = await remove(t.id);
+
+  offerUndo(`Deleted "${t.name}".`, async () => {
+    await restoreTask(removed);
+    if (t.seriesId) await unskipSeriesOccurrence(t.seriesId, date);
+    afterUndo();
+  });
+}
+
+// Formats a due date (+ optional due time) like "Nov 17" or "Nov 17, 9:00 AM"
+function fmtDue(task) {
+  const due = taskDueAt(task);
+  if (isNaN(due)) return "—";
+  return (
+    due.toLocaleDateString(undefined, { month: "short", day: "numeric" }) +
+    (task.dueTime
+      ? `, ${due.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`
+      : "")
+  );
+}
+
+// renderDoneList(state, now, list, emptyMsg)
+// ------------------------------------------
+// The "Done" view: completed tasks (newest first) with when they were
+// completed and estimated vs actual hours. Archived tasks are added below
+// once the user asks for them.
+
+function renderDoneList(state, now, list, emptyMsg) {
+  const rerender = () => renderTasks(state, now);
+
+  const done = [
+    ...state.tasks.filter((t) => t.completed).map((t) => ({ t, archived: false })),
+    ...(state.archivedTasks || []).map((t) => ({ t, archived: true })),
+  ]
+    .filter(({ t }) => taskMatchesFilters(t, null, state, now))
+    .sort(
+      (a, b) =>
+        (completedAtDate(b.t)?.getTime() ?? Infinity) - (completedAtDate(a.t)?.getTime() ?? Infinity)
+    );
+
+  list.innerHTML = "";
+
+  if (emptyMsg) {
+    emptyMsg.classList.toggle("visible", done.length === 0);
+    emptyMsg.textContent = "No completed tasks match your filters.";
+    if (!state.tasks.some((t) => t.completed) && !state.archivedTasks?.length) {
+      emptyMsg.textContent = "No completed tasks yet.";
+    }
+  }
+
+  done.forEach(({ t, archived }) => {
+    const completed = completedAtDate(t);
+    const completedText = completed
+      ? completed.toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+      : "Just now";
+
+    const course = courseById(state, t.courseId);
+    const courseBadge = course
+      ? `<span class="badge course-badge fw-normal mb-1" style="background-color: ${course.color};">${escapeHtml(
+        course.name
+      )}</span>`
+      : "";
+
+    const col = document.createElement("div");
+    col.className = "col-12 col-md-6 col-lg-4";
+    col.innerHTML = `
+      <div class="card shadow-sm border-0 border-start border-4 border-secondary">
+        <div class="card-body">
+          <div class="d-flex justify-content-between align-items-center mb-2">
+            <h5 class="card-title mb-0 text-decoration-line-through">${escapeHtml(t.name)}</h5>
+            ${archived ? `<span class="badge text-bg-light fw-normal">Archived</span>` : ""}
+          </div>
+          ${courseBadge}
+          <p class="mb-1"><strong>Completed:</strong> ${completedText}</p>
+          <p class="mb-2"><strong>Due:</strong> ${fmtDue(t)}</p>
+          ${timeLogHtml(t, now)}
+          <div class="d-flex justify-content-between">
+            <button class="btn btn-sm btn-secondary reopen-task">${archived ? "Restore" : "Undo"}</button>
+            <button class="btn btn-sm btn-outline-danger delete-task">Delete</button>
+          </div>
+        </div>
+      </div>`;
+
+    // Undo / Restore: back to the open list
+    col.querySelector(".reopen-task")?.addEventListener("click", async () => {
+      try {
+        if (archived) {
+          await restoreArchivedTask(t);
+          state.archivedTasks = state.archivedTasks.filter((x) => x.id !== t.id);
+          rerender();
+        } else {
+          await toggleTaskComplete(t.id, false);
+        }
+      } catch (err) {
+        console.error("[TASKS] reopening task failed:", err);
+      }
+    });
+
+    col.querySelector(".delete-task")?.addEventListener("click", async () => {
+      try {
+        if (archived) {
+          // Archived tasks aren't live, so keep state.archivedTasks in step by hand
+          await deleteWithUndo(t, deleteArchivedTask, () => {
+            state.archivedTasks = [t, ...(state.archivedTasks || [])];
+            rerender();
+          });
+          state.archivedTasks = state.archivedTasks.filter((x) => x.id !== t.id);
+          rerender();
+        } else {
+          await deleteWithUndo(t, deleteTask);
+        }
+      } catch (err) {
+        console.error("[TASKS] deleting task failed:", err);
+      }
+    });
+
+    list.appendChild(col);
+  });
+
+  // Archived tasks are only downloaded when asked for
+  if (!state.archivedTasks) {
+    const col = document.createElement("div");
+    col.className = "col-12 text-center";
+    col.innerHTML = `<button type="button" class="btn btn-sm btn-outline-secondary show-archived">Show archived</button>`;
+    col.querySelector(".show-archived").addEventListener("click", (e) => {
+      e.target.disabled = true;
+      showArchivedTasks(state, rerender);
+    });
+    list.appendChild(col);
+  }
 }
 
 // renderTasks(state, now)
 // -----------------------
 // Renders all tasks into the DOM:
 // Computes priority info for each task
-// Sorts them depending on the chosen sort mode
-// Builds Bootstrap cards with buttons for complete/undo and delete
+// Sorts them by the levels chosen in the sort menu
+// Builds Bootstrap cards with buttons for complete and delete
+// (completed tasks are drawn by renderDoneList in the Done view)
 
 export function renderTasks(state, now) {
   // The container where all task cards will be appended
@@ -181,37 +529,61 @@ export function renderTasks(state, now) {
   // If there is no list element, then it will abort
   if (!list) return;
 
+  // Draw the course filter pills; picking one re-renders the list
+  renderFilterBar(state, () => renderTasks(state, now));
+
+  // Hand out actual study hours across all open tasks (earliest deadline first)
+  // so the cards can show how much of each task is really covered.
+  const plan = planStudyTime(state, now);
+
+  // Capacity check across all incomplete tasks (task list + calendar banner)
+  renderOverloadWarnings(state, now);
+
+  // Completed tasks have their own view
+  if (state.taskView === "done") {
+    renderBulkBar(state);
+    renderDoneList(state, now, list, emptyMsg);
+    return;
+  }
+
   // Build an array of objects: { t: task, p: priorityInfo }
   // This way we keep task data and its computed priority together
-  let tasks = state.tasks.map((t) => ({
-    t,
-    p: priorityForTask(t, state, now),
-  }));
-
-  // ✅ sort mode switch
-  // Depending on state.sortMode, we choose a different sorting strategy.
-  if (state.sortMode === "dueDate") {
-    // Sort by due date (earliest first)
-    tasks.sort((a, b) => new Date(a.t.dueDate) - new Date(b.t.dueDate));
-  } else if (state.sortMode === "time") {
-    // Sort by estimated time required (ascending)
-    tasks.sort((a, b) => (b.t.timeNeeded ?? 0) - (a.t.timeNeeded ?? 0));
-  } else {
-    // Default: sort by priority score (descending)
-    tasks.sort((a, b) => b.p.score - a.p.score);
-  }
+  // Only open tasks that match the active search + filters are shown
+  // (filtered after the priority math because of the urgency filter)
+  let tasks = state.tasks
+    .filter((t) => !t.completed)
+    .map((t) => ({
+      t,
+      p: priorityForTask(t, state, now, plan),
+    }))
+    .filter(({ t, p }) => taskMatchesFilters(t, p, state, now));
+
+  // ✅ sort by the levels chosen in the sort menu (state.taskSort),
+  // e.g. priority (high → low), then due date (earliest first)
+  tasks.sort(compareTasks(normalizeSort(state.taskSort)));
+
+  // Remember the drawn order (select all / shift-click ranges) and update the bulk bar
+  state.visibleTaskIds = tasks.map(({ t }) => t.id);
+  renderBulkBar(state);
+  const selecting = !!state.selectMode;
 
   // A way to clear the existing list before re-rendering
   list.innerHTML = "";
 
   // Show or hide the "no tasks" message depending on whether there are tasks
-  if (emptyMsg) emptyMsg.classList.toggle("visible", tasks.length === 0);
+  // (with a different wording when tasks exist but the filters hide them all)
+  if (emptyMsg) {
+    emptyMsg.classList.toggle("visible", tasks.length === 0);
+    emptyMsg.textContent = state.tasks.some((t) => !t.completed)
+      ? "No tasks match your filters."
+      : "No open tasks — add one below!";
+  }
 
   const noStudyMsg = document.getElementById("noStudyMsg");
   // Show or hide the "no study blocks" message depending on whether there are study blocks
 
   if (noStudyMsg) {
-    const noTasks = tasks.length === 0;
+    const noTasks = state.tasks.length === 0;
     const noStudy = (state.studyBlocks?.length ?? 0) === 0;
 
     noStudyMsg.style.display = noTasks && noStudy ? "block" : "none";
@@ -219,14 +591,9 @@ export function renderTasks(state, now) {
 
   // For each task + its computed priority info, build a card
   tasks.forEach(({ t, p }) => {
-    // Convert due date string to Date
-    const due = new Date(t.dueDate);
-
-    // Format the date as something like "Nov 17".
-    // If date is invalid, show a dash instead.
-    const date = isNaN(due)
-      ? "—"
-      : due.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    // Format the date as something like "Nov 17", plus the time when one is set
+    // ("Nov 17, 9:00 AM"). If date is invalid, show a dash instead.
+    const date = fmtDue(t);
 
     // Extracting urgency from the computed priority info
     const urgency = p.urgency;
@@ -256,18 +623,69 @@ export function renderTasks(state, now) {
 
     const timeRequiredHours = Number(t.timeNeeded ?? 0);
 
+    // What is still left once finished checklist items are taken off
+    const hoursLeft = remainingHours(t);
+    const leftNote =
+      t.subtasks?.length || loggedHours(t) ? ` (${hoursLeft.toFixed(1)} left)` : "";
+
+    // Hours the planner reserved for this task
+    const allocatedHours = plan.allocatedByTask.get(t.id) ?? 0;
+    const allocatedLine = `<p class="mb-2 small text-muted">Allocated ${allocatedHours.toFixed(
+      1
+    )} of ${hoursLeft.toFixed(1)} hrs</p>`;
+
+    // Hours the schedule can't cover before the deadline → this task can't be finished
+    const shortHours = plan.shortByTask.get(t.id) ?? 0;
+    const shortLine =
+      shortHours > 1 / 60
+        ? `<p class="mb-2 small text-danger fw-semibold">⚠ Can't finish in time: ${shortHours.toFixed(
+          1
+        )} more study hrs needed by ${date}</p>`
+        : "";
+
+
+    // Repeating task? Show its rule (e.g. "↻ Weekly") under the title
+    const series = t.seriesId
+      ? (state.taskSeries || []).find((x) => x.id === t.seriesId) ?? null
+      : null;
+    const repeatLine = series
+      ? `<p class="mb-1 small text-muted">↻ ${describeRule(series.rule)}</p>`
+      : "";
+
+    // Course badge, coloured with the course's own colour
+    const course = courseById(state, t.courseId);
+    const courseBadge = course
+      ? `<span class="badge course-badge fw-normal mb-1" style="background-color: ${course.color};">${escapeHtml(
+        course.name
+      )}</span>`
+      : "";
+
+    // Waiting for other tasks? Name them and say when work can start
+    const blockers = openPredecessors(t, state);
+    const blockedLine = blockers.length
+      ? `<p class="mb-1 small text-secondary fw-semibold">⛔ Blocked by ${blockers
+        .map((b) => escapeHtml(b.name))
+        .join(", ")}${p.startsAt ? ` · can start ${fmtMoment(p.startsAt)}` : ""}</p>`
+      : "";
+
+    // Selection mode: a checkbox in front of the title
+    const selected = selecting && state.selectedTaskIds?.has(t.id);
+    const selectBox = selecting
+      ? `<input type="checkbox" class="form-check-input mt-0 me-2 task-select" ${selected ? "checked" : ""}
+          aria-label="Select ${escapeHtml(t.name)}">`
+      : "";
 
     // Create a Bootstrap column wrapper for the card
     const col = document.createElement("div");
     col.className = "col-12 col-md-6 col-lg-4";
+    col.dataset.taskId = t.id; // lets the calendar link to this card (revealTaskCard)
 
     // Build the inner HTML for the card
     col.innerHTML = `
-      <div class="card shadow-sm border-0 border-start border-4 ${color}">
+      <div class="card shadow-sm border-0 border-start border-4 ${color} ${blockers.length ? "task-blocked" : ""} ${selected ? "task-selected" : ""}">
         <div class="card-body">
           <div class="d-flex justify-content-between align-items-center mb-2">
-            <h5 class="card-title mb-0 ${t.completed ? "text-decoration-line-through" : ""
-      }">${t.name}</h5>
+            <h5 class="card-title mb-0 d-flex align-items-center">${selectBox}${escapeHtml(t.name)}</h5>
             <span class="badge ${color.replace(
         "border",
         "bg"
@@ -275,40 +693,192 @@ export function renderTasks(state, now) {
               Importance: ${importanceLabel}
             </span>
           </div>
+          ${courseBadge}
+          ${repeatLine}
+          ${blockedLine}
           <p class="mb-1"><strong>Due:</strong> ${date}</p>
           <p class="mb-1"><strong>Study hrs left:</strong> ${p.timeAvail.toFixed(
         1
       )}</p>
           <p class="mb-2"><strong>Time required:</strong> ${timeRequiredHours.toFixed(
         1
-      )} hrs</p>
+      )} hrs${leftNote}</p>
+          ${checklistHtml(t)}
+          ${timeLogHtml(t, now)}
+          ${allocatedLine}
+          ${shortLine}
+          <button class="btn btn-link btn-sm p-0 mb-2 why-priority-toggle" type="button"
+            data-bs-toggle="collapse" data-bs-target="#why-${t.id}"
+            aria-expanded="${openExplanations.has(t.id)}" aria-controls="why-${t.id}">
+            Why this priority?
+          </button>
+          <div class="collapse ${openExplanations.has(t.id) ? "show" : ""}" id="why-${t.id}">
+            <div class="small border rounded p-2 mb-2 bg-body why-priority">
+              ${priorityExplanationHtml(t, p, importanceLabel)}
+            </div>
+          </div>
           <div class="d-flex justify-content-between">
-            <button class="btn btn-sm ${t.completed ? "btn-secondary" : "btn-success"
-      } toggle-complete">
-              ${t.completed ? "Undo" : "Complete"}
-            </button>
-            <button class="btn btn-sm btn-outline-danger delete-task">Delete</button>
+            <button class="btn btn-sm btn-success toggle-complete">Complete</button>
+            <div class="d-flex gap-2">
+              <button class="btn btn-sm btn-outline-primary edit-task">Edit</button>
+              <button class="btn btn-sm btn-outline-danger delete-task">Delete</button>
+            </div>
           </div>
         </div>
       </div>`;
 
-    // Preparing the "Complete / Undo" button:
-    // clicking it flips the completed flag in Firestore.
+    // Selection checkbox (shift-click selects a range)
+    col.querySelector(".task-select")?.addEventListener("click", (e) => {
+      toggleTaskSelection(state, t.id, e.target.checked, e.shiftKey);
+      renderTasks(state, now);
+    });
+
+    // Preparing the "Complete" button:
+    // clicking it marks the task completed in Firestore (it moves to the Done view).
     col
       .querySelector(".toggle-complete")
       ?.addEventListener("click", async () => {
-        await toggleTaskComplete(t.id, !t.completed);
+        // Keep the doc as it is now, so "Undo" can put it back exactly
+        const { id, ...before } = t;
+
+        // Completing with a timer still running: log that time first
+        const started = timerStartedAt(t);
+        const timerLogId = started ? await stopTaskTimer(t.id, started, now()) : null;
+        await toggleTaskComplete(t.id, true);
+        offerUndo(`Completed "${t.name}".`, () =>
+          // Undo also drops the timer entry, since the timer is running again
+          restoreTask({ id, data: before }, { dropLogIds: timerLogId ? [timerLogId] : [] })
+        );
         // The Firestore listener elsewhere will detect the change and trigger re-render.
       });
 
+    // Remember which explanation panels are open across re-renders.
+    const why = col.querySelector(`#why-${t.id}`);
+    why?.addEventListener("shown.bs.collapse", () => openExplanations.add(t.id));
+    why?.addEventListener("hidden.bs.collapse", () => openExplanations.delete(t.id));
+
+    // Checklist: tick / untick, remove and add steps.
+    // Each change writes the whole subtasks array back with updateTask.
+    const saveSubtasks = async (subtasks) => {
+      try {
+        await updateTask(t.id, { subtasks });
+      } catch (err) {
+        console.error("[TASKS] saving checklist failed:", err);
+      }
+    };
+
+    col.querySelectorAll(".subtask-toggle").forEach((box) =>
+      box.addEventListener("change", () =>
+        saveSubtasks(
+          (t.subtasks || []).map((s) =>
+            s.id === box.dataset.subtaskId ? { ...s, done: box.checked } : s
+          )
+        )
+      )
+    );
+
+    col.querySelectorAll(".subtask-remove").forEach((btn) =>
+      btn.addEventListener("click", () =>
+        saveSubtasks((t.subtasks || []).filter((s) => s.id !== btn.dataset.subtaskId))
+      )
+    );
+
+    col.querySelector(".subtask-add")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const title = e.target.elements.title.value.trim();
+      const hours = parseFloat(e.target.elements.hours.value);
+      if (!title || Number.isNaN(hours) || hours <= 0) return;
+      saveSubtasks([
+        ...(t.subtasks || []),
+        { id: crypto.randomUUID(), title, hours, done: false },
+      ]);
+    });
+
+    // Time tracking: start/stop the timer, or log hours by hand.
+    col.querySelector(".timer-toggle")?.addEventListener("click", async () => {
+      try {
+        const started = timerStartedAt(t);
+        if (started) await stopTaskTimer(t.id, started, now());
+        else await startTaskTimer(t.id, now());
+      } catch (err) {
+        console.error("[TASKS] timer failed:", err);
+      }
+    });
+
+    col.querySelector(".log-time")?.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const hours = parseFloat(e.target.elements.hours.value);
+      if (Number.isNaN(hours) || hours <= 0) return;
+      try {
+        await logTaskTime(t.id, { hours, end: now() });
+      } catch (err) {
+        console.error("[TASKS] logging time failed:", err);
+      }
+    });
+
+    // Preparing the "Edit" button:
+    // clicking it opens the task form pre-filled with this task.
+    col.querySelector(".edit-task")?.addEventListener("click", () => {
+      startTaskEdit(t, series);
+    });
+
     //  Preparing the "Delete" button:
     // clicking it removes the task from Firestore.
     col.querySelector(".delete-task")?.addEventListener("click", async () => {
+      // Deleting one instance of a repeating series also remembers the date
+      // so it isn't generated again (see deleteWithUndo).
       // Firestore listener handles updating the UI.
-      await deleteTask(t.id);
+      try {
+        await deleteWithUndo(t, deleteTask);
+      } catch (err) {
+        console.error("[TASKS] deleting task failed:", err);
+      }
     });
 
     // Finally, append this card to the task list container
     list.appendChild(col);
   });
-}
\ No newline at end of file
+
+  // Keep any running timers ticking on screen
+  if (list.querySelector(".timer-elapsed[data-started]")) ensureTimerTick(now);
+}
+
+// revealTaskCard(state, now, taskId)
+// ----------------------------------
+// Opens the Home tab and scrolls to a task's card, flashing it briefly
+// (the links in the calendar's due markers use this).
+// An open task hidden by the Done view or the search/filters is shown by
+// switching to the Open view and clearing the filters first.
+// Returns false when there is no card to show (e.g. the task was deleted).
+
+export function revealTaskCard(state, now, taskId) {
+  const findCard = () => document.querySelector(`#taskList [data-task-id="${CSS.escape(taskId)}"]`);
+  let card = findCard();
+
+  if (!card && state.tasks.some((t) => t.id === taskId && !t.completed)) {
+    setTaskView(state, "open");
+    setTaskFilters(state, DEFAULT_TASK_FILTERS);
+    syncUrlState(state);
+    renderTasks(state, now);
+    card = findCard();
+  }
+
+  const scrollToCard = () => {
+    if (!card) return;
+    card.scrollIntoView({ behavior: "smooth", block: "center" });
+    const inner = card.querySelector(".card");
+    inner?.classList.remove("task-flash");
+    void inner?.offsetWidth; // restarts the animation when the same card is shown twice
+    inner?.classList.add("task-flash");
+  };
+
+  // The card can only be scrolled to once the Home tab is visible
+  const homeTabBtn = document.getElementById("home-tab");
+  if (homeTabBtn && !homeTabBtn.classList.contains("active")) {
+    homeTabBtn.addEventListener("shown.bs.tab", scrollToCard, { once: true });
+    Tab.getOrCreateInstance(homeTabBtn).show();
+  } else {
+    scrollToCard();
+  }
+  return !!card;
+}
@@ -0,0 +1,223 @@
+// features/tasks/sort.js
+
+// Sort menu above #taskList.
+// The active sort is a list of levels, most important first:
+//   state.taskSort = [{ key: "priority", dir: "desc" }, { key: "dueDate", dir: "asc" }]
+// Each later level only decides between tasks that tie on all the levels before it.
+// Whatever still ties after that is ordered by name, so the list never jumps around.
+// Each user can save their own default (users/{uid}.defaultSort), which the
+// list starts with after sign-in. A sort picked this session is also kept
+// in the URL (see features/url/urlState.js).
+
+import { saveDefaultSort } from "../../services/firestore.js";
+import { taskDueAt } from "./availability.js";
+import { syncUrlState } from "../url/urlState.js";
+
+// Everything the list can be sorted by.
+// compare() orders two { t: task, p: priorityInfo } items ascending;
+// defaultDir is the direction picked when the key is chosen in the menu.
+export const SORT_KEYS = {
+  priority: {
+    label: "Priority",
+    defaultDir: "desc",
+    compare: (a, b) => a.p.score - b.p.score,
+  },
+  dueDate: {
+    label: "Due date",
+    defaultDir: "asc",
+    compare: (a, b) => dueMs(a.t) - dueMs(b.t),
+  },
+  timeNeeded: {
+    label: "Time needed",
+    defaultDir: "asc",
+    compare: (a, b) => (a.t.timeNeeded ?? 0) - (b.t.timeNeeded ?? 0),
+  },
+  importance: {
+    label: "Importance",
+    defaultDir: "desc",
+    compare: (a, b) => (a.t.importance ?? 3) - (b.t.importance ?? 3),
+  },
+  createdAt: {
+    label: "Created",
+    defaultDir: "desc",
+    compare: (a, b) => createdMs(a.t) - createdMs(b.t),
+  },
+  name: {
+    label: "Name",
+    defaultDir: "asc",
+    compare: (a, b) => byName(a, b),
+  },
+};
+
+export const DEFAULT_SORT = Object.freeze([
+  Object.freeze({ key: "priority", dir: "desc" }),
+  Object.freeze({ key: "dueDate", dir: "asc" }),
+]);
+
+// How many levels the menu offers (a primary key and two tie-breaks)
+const MAX_LEVELS = 3;
+
+// Tasks without a valid due date go last when sorting ascending
+function dueMs(task) {
+  const ms = taskDueAt(task).getTime();
+  return Number.isNaN(ms) ? Infinity : ms;
+}
+
+// A task whose createdAt serverTimestamp hasn't come back yet is the newest
+function createdMs(task) {
+  const v = task.createdAt;
+  if (!v) return Infinity;
+  return v.toMillis ? v.toMillis() : new Date(v).getTime();
+}
+
+function byName(a, b) {
+  return (a.t.name ?? "").localeCompare(b.t.name ?? "", undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+}
+
+// Infinity - Infinity is NaN; treat that as a tie
+function signOf(diff) {
+  return Number.isNaN(diff) ? 0 : Math.sign(diff);
+}
+
+/**
+ * Cleans up a stored sort (user pref or old state): unknown keys and
+ * repeated keys are dropped, directions default per key.
+ * Falls back to DEFAULT_SORT when nothing usable is left.
+ */
+export function normalizeSort(raw) {
+  const levels = [];
+  for (const level of Array.isArray(raw) ? raw : []) {
+    const spec = SORT_KEYS[level?.key];
+    if (!spec || levels.some((l) => l.key === level.key)) continue;
+    levels.push({
+      key: level.key,
+      dir: level.dir === "asc" || level.dir === "desc" ? level.dir : spec.defaultDir,
+    });
+    if (levels.length === MAX_LEVELS) break;
+  }
+  return levels.length ? levels : DEFAULT_SORT.map((l) => ({ ...l }));
+}
+
+/**
+ * Comparator for Array.sort over { t, p } items using the given levels.
+ * Ends with the task name (then id) as the final tie-break.
+ */
+export function compareTasks(levels) {
+  return (a, b) => {
+    for (const { key, dir } of levels) {
+      const diff = signOf(SORT_KEYS[key].compare(a, b));
+      if (diff) return dir === "desc" ? -diff : diff;
+    }
+    return byName(a, b) || String(a.t.id).localeCompare(String(b.t.id));
+  };
+}
+
+// Copies state.taskSort into the menu controls
+function fillSortControls(levels) {
+  for (let i = 0; i < MAX_LEVELS; i++) {
+    const select = document.getElementById(`sortKey${i + 1}`);
+    const dirBtn = document.getElementById(`sortDir${i + 1}`);
+    const level = levels[i];
+
+    if (select) {
+      select.value = level?.key ?? "";
+      // A tie-break level needs the one before it
+      select.disabled = i > levels.length;
+    }
+    if (dirBtn) {
+      dirBtn.classList.toggle("d-none", !level);
+      const desc = level?.dir === "desc";
+      dirBtn.textContent = desc ? "↓ Desc" : "↑ Asc";
+      dirBtn.setAttribute("aria-label", desc ? "Descending, click for ascending" : "Ascending, click for descending");
+    }
+  }
+}
+
+// Fills the key <select>s once (the tie-break levels can be turned off)
+function buildKeyOptions() {
+  for (let i = 0; i < MAX_LEVELS; i++) {
+    const select = document.getElementById(`sortKey${i + 1}`);
+    if (!select) continue;
+    select.innerHTML = i === 0 ? "" : `<option value="">Nothing</option>`;
+    for (const [key, { label }] of Object.entries(SORT_KEYS)) {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+  }
+}
+
+/**
+ * Switches to a user's saved default sort (called when the user doc arrives).
+ * Once the user has picked a sort this session, theirs is kept.
+ */
+export function applyDefaultSort(state, defaultSort) {
+  state.defaultSort = normalizeSort(defaultSort);
+  if (!state.taskSortChosen) {
+    state.taskSort = state.defaultSort.map((l) => ({ ...l }));
+    fillSortControls(state.taskSort);
+  }
+}
+
+/**
+ * Uses the given sort as if the user had picked it (e.g. from a link),
+ * so the saved default doesn't replace it. The caller re-renders the list.
+ */
+export function setTaskSort(state, levels) {
+  state.taskSort = normalizeSort(levels);
+  state.taskSortChosen = true;
+  fillSortControls(state.taskSort);
+}
+
+/**
+ * Wires the sort menu once. onChange re-renders the task list.
+ */
+export function attachSortMenu(state, onChange) {
+  state.taskSort = normalizeSort(state.taskSort);
+  buildKeyOptions();
+  fillSortControls(state.taskSort);
+
+  const update = (levels) => {
+    setTaskSort(state, levels);
+    syncUrlState(state);
+    onChange();
+  };
+
+  for (let i = 0; i < MAX_LEVELS; i++) {
+    // Picking a key uses that key's natural direction
+    document.getElementById(`sortKey${i + 1}`)?.addEventListener("change", (e) => {
+      const key = e.target.value;
+      const levels = state.taskSort.slice(0, i);
+      if (key) levels.push({ key, dir: SORT_KEYS[key].defaultDir });
+      // Keep the later levels unless they now repeat this key
+      levels.push(...state.taskSort.slice(i + 1).filter((l) => l.key !== key));
+      update(levels);
+    });
+
+    // Direction button flips asc ↔ desc for its level
+    document.getElementById(`sortDir${i + 1}`)?.addEventListener("click", () => {
+      update(
+        state.taskSort.map((l, j) =>
+          j === i ? { ...l, dir: l.dir === "desc" ? "asc" : "desc" } : l
+        )
+      );
+    });
+  }
+
+  // Save the current sort as this user's default
+  const saveBtn = document.getElementById("saveDefaultSort");
+  saveBtn?.addEventListener("click", async () => {
+    try {
+      await saveDefaultSort(state.taskSort);
+      saveBtn.textContent = "Saved as default";
+      setTimeout(() => (saveBtn.textContent = "Save as default"), 1500);
+    } catch (err) {
+      console.error("[SORT] saving default sort failed:", err);
+      saveBtn.textContent = "Could not save";
+    }
+  });
+}
@@ -0,0 +1,93 @@
+// features/tasks/templates.js
+
+// Task templates ("Lab report ~3 hrs, importance 4, due in 7 days").
+// Templates are stored per user (see watchTaskTemplates in firestore.js)
+// and kept in state.taskTemplates. The task form uses them in two ways:
+// - "Save as template": the form's fields become a template, with the due
+//   date stored as a number of days from today
+// - "Start from template": a template fills the form, with the due date
+//   counted from today or from a picked date
+
+import { toDateStr } from "./recurrence.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight Date for a yyyy-mm-dd string
+function fromDateStr(str) {
+  return new Date(`${str}T00:00:00`);
+}
+
+/**
+ * Builds a template from the task form's fields.
+ *
+ * @param {object} fields - readTaskForm() output (name, dueDate, dueTime, ...)
+ * @param {object[]} subtasks - Checklist of the task being edited (may be empty)
+ * @param {string} todayStr - Today as yyyy-mm-dd; the due date is stored relative to it
+ * @returns {object} { name, dueOffsetDays, dueTime, timeNeeded, importance, courseId, subtasks }
+ */
+export function templateFromFields(fields, subtasks, todayStr) {
+  const offset = Math.round((fromDateStr(fields.dueDate) - fromDateStr(todayStr)) / DAY_MS);
+  return {
+    name: fields.name,
+    // A due date in the past still makes a usable template ("due today")
+    dueOffsetDays: Number.isNaN(offset) ? 0 : Math.max(0, offset),
+    dueTime: fields.dueTime,
+    timeNeeded: fields.timeNeeded,
+    importance: fields.importance,
+    courseId: fields.courseId,
+    subtasks: (subtasks || []).map((s) => ({ title: s.title, hours: Number(s.hours) })),
+  };
+}
+
+/**
+ * Due date (yyyy-mm-dd) of a task created from a template.
+ *
+ * @param {object} template - Needs dueOffsetDays.
+ * @param {string} fromStr - Date the offset is counted from (yyyy-mm-dd).
+ */
+export function templateDueDate(template, fromStr) {
+  const due = fromDateStr(fromStr);
+  due.setDate(due.getDate() + (template.dueOffsetDays ?? 0));
+  return toDateStr(due);
+}
+
+/**
+ * Checklist for a new task made from a template: fresh ids, nothing done yet.
+ */
+export function templateSubtasks(template) {
+  return (template.subtasks || []).map((s) => ({
+    id: crypto.randomUUID(),
+    title: s.title,
+    hours: Number(s.hours),
+    done: false,
+  }));
+}
+
+/**
+ * Short description for the template picker, e.g. "Lab report · 3h · due +7d"
+ */
+export function describeTemplate(template) {
+  const steps = template.subtasks?.length ? ` · ${template.subtasks.length} steps` : "";
+  return `${template.name} · ${Number(template.timeNeeded)}h · due +${template.dueOffsetDays ?? 0}d${steps}`;
+}
+
+/**
+ * Fills the "Start from template" select in the task form.
+ * Keeps the current selection when it still exists.
+ */
+export function fillTemplateOptions(templates) {
+  const select = document.getElementById("taskTemplate");
+  if (!select) return;
+  const current = select.value;
+
+  select.innerHTML = `<option value="">No template</option>`;
+  for (const t of templates || []) {
+    const opt = document.createElement("option");
+    opt.value = t.id;
+    opt.textContent = describeTemplate(t);
+    select.appendChild(opt);
+  }
+  select.value = (templates || []).some((t) => t.id === current) ? current : "";
+  document.getElementById("deleteTemplate")?.classList.toggle("d-none", !select.value);
+  document.getElementById("taskTemplateFromWrap")?.classList.toggle("d-none", !select.value);
+}
@@ -0,0 +1,76 @@
+// features/tasks/validate.js
+
+// Validation rules shared by the task form (create + edit) and the
+// Firestore service calls, so a task can never be saved in a shape
+// the priority math doesn't understand.
+
+/**
+ * Check the task fields that are present on "fields".
+ *
+ * When "partial" is true (used for updates), fields that are missing
+ * are skipped instead of being reported as required.
+ *
+ * @param {object} fields - { name, dueDate, dueTime, timeNeeded, importance, subtasks, dependsOn }
+ * @param {{partial?: boolean}} [opts]
+ * @returns {string|null} A user friendly error message, or null if valid.
+ */
+export function validateTaskFields(fields, { partial = false } = {}) {
+    // Helper: should this key be checked at all?
+    const check = (key) => !partial || fields[key] !== undefined;
+
+    // Name must not be empty
+    if (check('name') && !String(fields.name ?? '').trim()) {
+        return 'Please enter a task name.';
+    }
+
+    // Due date must be a real yyyy-mm-dd date
+    if (check('dueDate')) {
+        const due = new Date(`${fields.dueDate}T00:00:00`);
+        if (!fields.dueDate || Number.isNaN(due.getTime())) {
+            return 'Please pick a valid due date.';
+        }
+    }
+
+    // Due time is optional, but when given it must be "HH:MM" (24-hour)
+    if (check('dueTime') && fields.dueTime) {
+        const match = /^(\d{2}):(\d{2})$/.exec(fields.dueTime);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return 'Please pick a valid due time.';
+        }
+    }
+
+    // Time needed must be a positive number of hours
+    if (check('timeNeeded')) {
+        const hrs = Number(fields.timeNeeded);
+        if (fields.timeNeeded === '' || Number.isNaN(hrs) || hrs <= 0) {
+            return 'Time needed must be more than 0 hours.';
+        }
+    }
+
+    // Importance is a 1–5 scale
+    if (check('importance')) {
+        const imp = Number(fields.importance);
+        if (!Number.isInteger(imp) || imp < 1 || imp > 5) {
+            return 'Importance must be between 1 and 5.';
+        }
+    }
+
+    // Checklist items need a title and a positive hour estimate
+    if (check('subtasks') && fields.subtasks !== undefined) {
+        if (!Array.isArray(fields.subtasks)) return 'Checklist must be a list of steps.';
+        for (const step of fields.subtasks) {
+            if (!String(step?.title ?? '').trim()) return 'Each step needs a name.';
+            const hrs = Number(step.hours);
+            if (Number.isNaN(hrs) || hrs <= 0) return 'Each step needs more than 0 hours.';
+        }
+    }
+
+    // Dependencies are a list of other task ids
+    if (check('dependsOn') && fields.dependsOn !== undefined && fields.dependsOn !== null) {
+        if (!Array.isArray(fields.dependsOn) || fields.dependsOn.some((id) => typeof id !== 'string' || !id)) {
+            return 'Dependencies must be a list of tasks.';
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,73 @@
+// features/undo/toast.js
+
+// Undo toast.
+// After a destructive action (delete, complete, calendar changes) the caller
+// passes a function that puts the old Firestore document(s) back. The toast
+// offers it for UNDO_WINDOW_MS; after that (or after the next action) it is gone.
+// Restores go through Firestore like any other write, so the snapshot
+// listeners repaint the UI as usual.
+
+import { Toast } from "bootstrap";
+
+// How long an action can be undone
+export const UNDO_WINDOW_MS = 8000;
+
+// The one action that can currently be undone: { undo, expiresAt }
+let pending = null;
+let wired = false;
+
+function toastElements() {
+  return {
+    toastEl: document.getElementById("undoToast"),
+    msgEl: document.getElementById("undoToastMsg"),
+    btn: document.getElementById("undoToastBtn"),
+  };
+}
+
+// Runs the pending undo (once) when the toast's "Undo" button is clicked
+function wireUndoButton() {
+  if (wired) return;
+  const { toastEl, msgEl, btn } = toastElements();
+  if (!toastEl || !btn) return;
+  wired = true;
+
+  btn.addEventListener("click", async () => {
+    const action = pending;
+    pending = null;
+    if (!action || Date.now() > action.expiresAt) {
+      Toast.getOrCreateInstance(toastEl).hide();
+      return;
+    }
+
+    btn.disabled = true;
+    try {
+      await action.undo();
+      Toast.getOrCreateInstance(toastEl).hide();
+    } catch (err) {
+      console.error("[UNDO] restore failed:", err);
+      if (msgEl) msgEl.textContent = "Could not undo.";
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Shows the undo toast for an action that just happened.
+ * Replaces any earlier pending undo.
+ *
+ * @param {string} message - What happened, e.g. "Task deleted."
+ * @param {function} undo - Async function that restores the previous state.
+ */
+export function offerUndo(message, undo) {
+  const { toastEl, msgEl, btn } = toastElements();
+  if (!toastEl) return;
+  wireUndoButton();
+
+  pending = { undo, expiresAt: Date.now() + UNDO_WINDOW_MS };
+  if (msgEl) msgEl.textContent = message;
+  if (btn) btn.disabled = false;
+
+  const toast = Toast.getOrCreateInstance(toastEl, { delay: UNDO_WINDOW_MS });
+  toast.show();
+}
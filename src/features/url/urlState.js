@@ -0,0 +1,236 @@
+// features/url/urlState.js
+
+// Keeps what the user is looking at in the URL hash, so a reload or a
+// shared link opens the same place:
+//   #tab=calendar&view=week&week=2026-10-19&sort=dueDate.asc,priority.desc&q=lab
+// - tab:       calendar | home | settings (the #mainTabs button)
+// - view:      day | week | 2week | month
+// - week:      visible week as its Monday (isoWeekId), for the week views
+//              when it isn't the current week
+// - date:      shown day (yyyy-mm-dd), for the day and month views
+//              when it isn't today
+//              (no week/date = the range containing today)
+// - sort:      sort levels picked this session (key.dir, comma separated)
+// - q, from, to, imp, urg, overdue, course: task filters (see filters.js)
+// Moving the calendar adds a browser history entry, so back/forward steps
+// between weeks; every other change just updates the current entry.
+
+import { Tab } from "bootstrap";
+import {
+  CALENDAR_VIEWS,
+  calendarViewOf,
+  visibleRange,
+  viewAnchor,
+  calendarPositionOf,
+  isoWeekId,
+  weekdayOf,
+  addDays,
+} from "../../calendar/range.js";
+import { toDateStr } from "../tasks/recurrence.js";
+import { DEFAULT_TASK_FILTERS, setTaskFilters } from "../tasks/filters.js";
+import { setTaskSort } from "../tasks/sort.js";
+
+// The hash as the page was opened, read before anything rewrites it
+const initialHash = window.location.hash;
+
+const TABS = ["calendar", "home", "settings"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// state.taskFilters key → URL parameter
+const FILTER_PARAMS = [
+  ["search", "q"],
+  ["dueFrom", "from"],
+  ["dueTo", "to"],
+  ["importance", "imp"],
+  ["urgency", "urg"],
+  ["overdue", "overdue"],
+  ["course", "course"],
+];
+
+// Parameters that place the calendar (a change to these is a history step)
+const CALENDAR_PARAMS = ["view", "week", "date"];
+
+// Nothing is written until the opened URL has been applied
+let ready = false;
+
+// Tab from the opened URL, shown once the user is signed in
+let pendingTab = null;
+
+// Set while a back/forward entry is being shown: it must not push a new one
+let restoring = false;
+
+// Local midnight Date for a yyyy-mm-dd string, or null when it isn't one
+function dateFromParam(value) {
+  if (!DATE_RE.test(value ?? "")) return null;
+  const d = new Date(`${value}T00:00:00`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Name of the active #mainTabs tab ("calendar-tab" → "calendar")
+function activeTab() {
+  const btn = document.querySelector("#mainTabs .nav-link.active");
+  return btn?.id?.replace(/-tab$/, "") || null;
+}
+
+// The URL parameters describing the current state
+// (the inverse of applyCalendarParams for the calendar position)
+function paramsFor(state) {
+  const params = new URLSearchParams();
+
+  // A tab still waiting for sign-in is kept, so reloading doesn't lose it
+  const tab = pendingTab || activeTab();
+  if (tab) params.set("tab", tab);
+
+  const view = calendarViewOf(state);
+  params.set("view", view);
+  if (view === "week" || view === "2week") {
+    // The week views only show the week, so only weekOffset is kept.
+    // The Monday inside the visible week leads back to the same week
+    // whichever day weeks start on
+    if (state.weekOffset) {
+      const { start } = visibleRange(state);
+      params.set("week", isoWeekId(addDays(start, (7 - weekdayOf(start)) % 7)));
+    }
+  } else if (state.weekOffset || state.viewDay != null) {
+    params.set("date", toDateStr(viewAnchor(state)));
+  }
+
+  if (state.taskSortChosen && state.taskSort?.length) {
+    params.set("sort", state.taskSort.map((l) => `${l.key}.${l.dir}`).join(","));
+  }
+
+  const filters = state.taskFilters || DEFAULT_TASK_FILTERS;
+  for (const [key, param] of FILTER_PARAMS) {
+    const value = filters[key];
+    if (value === DEFAULT_TASK_FILTERS[key] || value == null || value === "") continue;
+    params.set(param, value === true ? "1" : String(value));
+  }
+
+  return params;
+}
+
+// Filters found in the URL (only the ones present)
+function filtersFrom(params) {
+  const filters = {};
+  for (const [key, param] of FILTER_PARAMS) {
+    if (!params.has(param)) continue;
+    const raw = params.get(param);
+
+    if (key === "importance") {
+      filters.importance = Math.min(5, Math.max(1, parseInt(raw, 10) || 1));
+    } else if (key === "overdue") {
+      filters.overdue = raw === "1";
+    } else if (key === "urgency") {
+      if (["low", "medium", "high"].includes(raw)) filters.urgency = raw;
+    } else if (key === "dueFrom" || key === "dueTo") {
+      if (dateFromParam(raw)) filters[key] = raw;
+    } else {
+      filters[key] = raw;
+    }
+  }
+  return filters;
+}
+
+// "dueDate.asc,priority.desc" → [{ key, dir }] (setTaskSort drops bad levels)
+function sortFrom(value) {
+  return String(value || "")
+    .split(",")
+    .map((part) => {
+      const [key, dir] = part.split(".");
+      return { key, dir };
+    });
+}
+
+// Sets the calendar view and position (weekOffset, viewDay) from the URL
+function applyCalendarParams(state, params) {
+  const view = params.get("view");
+  if (CALENDAR_VIEWS[view]) state.calendarView = view;
+
+  const date = dateFromParam(params.get("date"));
+  const week = dateFromParam(params.get("week"));
+  if (date) {
+    Object.assign(state, calendarPositionOf(date));
+  } else {
+    // A week (or nothing: the current week) keeps following today's weekday
+    state.weekOffset = week ? calendarPositionOf(week).weekOffset : 0;
+    state.viewDay = null;
+  }
+}
+
+function urlFor(params) {
+  return `${window.location.pathname}${window.location.search}#${params}`;
+}
+
+/**
+ * Writes the current state into the URL. A calendar move (view, week or
+ * date) adds a history entry; other changes replace the current one.
+ * Does nothing before attachUrlState has applied the opened URL.
+ */
+export function syncUrlState(state) {
+  if (!ready) return;
+
+  const next = paramsFor(state);
+  const current = new URLSearchParams(window.location.hash.slice(1));
+  if (next.toString() === current.toString()) return;
+
+  const moved = CALENDAR_PARAMS.some((key) => next.get(key) !== current.get(key));
+  if (moved && !restoring) window.history.pushState(null, "", urlFor(next));
+  else window.history.replaceState(null, "", urlFor(next));
+}
+
+/**
+ * Applies the URL the page was opened with, then keeps the URL in sync.
+ * Call once after attachAuthFlows (the calendar, filters and sort menu exist).
+ *
+ * @param {object} state - App state.
+ * @param {object} handlers
+ * @param {Function} handlers.showCalendar - Redraws the calendar for
+ *   state.calendarView / weekOffset / viewDay.
+ * @param {Function} handlers.renderList - Re-renders the task list.
+ */
+export function attachUrlState(state, { showCalendar, renderList }) {
+  const params = new URLSearchParams(initialHash.slice(1));
+
+  if (CALENDAR_PARAMS.some((key) => params.has(key))) {
+    applyCalendarParams(state, params);
+    showCalendar();
+  }
+
+  // Filters/sort from a link replace the remembered ones
+  const filters = filtersFrom(params);
+  if (Object.keys(filters).length) setTaskFilters(state, filters);
+  if (params.has("sort")) setTaskSort(state, sortFrom(params.get("sort")));
+  renderList();
+
+  // Calendar and Settings need a signed-in user (see restoreUrlTab)
+  pendingTab = TABS.includes(params.get("tab")) ? params.get("tab") : null;
+
+  ready = true;
+  window.history.replaceState(null, "", urlFor(paramsFor(state)));
+
+  // Back/forward: only the calendar position is taken from the entry;
+  // the filters, sort and tab stay as they are now
+  // (redrawing only rewrites that entry, so the forward entries stay)
+  window.addEventListener("popstate", () => {
+    restoring = true;
+    try {
+      applyCalendarParams(state, new URLSearchParams(window.location.hash.slice(1)));
+      showCalendar();
+    } finally {
+      restoring = false;
+    }
+  });
+
+  document.getElementById("mainTabs")?.addEventListener("shown.bs.tab", () => syncUrlState(state));
+}
+
+/**
+ * Shows the tab from the opened URL. Called when a user signs in
+ * (before that only Home is available); later sign-ins keep the Home tab.
+ */
+export function restoreUrlTab() {
+  if (!pendingTab) return;
+  const btn = document.getElementById(`${pendingTab}-tab`);
+  pendingTab = null;
+  if (btn) Tab.getOrCreateInstance(btn).show();
+}
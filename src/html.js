@@ -0,0 +1,10 @@
+// src/html.js
+// Small helper shared by the modules that build markup with innerHTML.
+
+// Escapes user text before it goes into innerHTML
+export function escapeHtml(str) {
+  return String(str ?? "").replace(
+    /[&<>"']/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]
+  );
+}
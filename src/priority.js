@@ -1,14 +1,50 @@
 // src/priority.js
-export function calculatePriority(urgency, importance) {
-  const urgencyMultiplier = 1.2;
+
+// Default priority model. Users can override these from the Settings tab;
+// their values are stored on users/{uid} as "prioritySettings".
+// urgencyThresholds are the slack-margin cut-offs for urgency 1→2, 2→3, 3→4 and 4→5.
+export const DEFAULT_PRIORITY_SETTINGS = Object.freeze({
+  urgencyMultiplier: 1.2,
+  urgencyThresholds: Object.freeze([0.15, 0.3, 0.45, 0.6]),
+});
+
+// Checks a (possibly partial / user-entered) settings object and fills
+// in defaults for anything missing or invalid.
+// Thresholds must be 4 positive numbers in ascending order.
+export function normalizePrioritySettings(raw) {
+  const multiplier = Number(raw?.urgencyMultiplier);
+  const thresholds = Array.isArray(raw?.urgencyThresholds)
+    ? raw.urgencyThresholds.map(Number)
+    : [];
+  const thresholdsOk =
+    thresholds.length === 4 &&
+    thresholds.every((x, i) => x > 0 && (i === 0 || x > thresholds[i - 1]));
+
+  return {
+    urgencyMultiplier:
+      Number.isFinite(multiplier) && multiplier >= 0
+        ? multiplier
+        : DEFAULT_PRIORITY_SETTINGS.urgencyMultiplier,
+    urgencyThresholds: thresholdsOk
+      ? thresholds
+      : [...DEFAULT_PRIORITY_SETTINGS.urgencyThresholds],
+  };
+}
+
+export function calculatePriority(
+  urgency,
+  importance,
+  urgencyMultiplier = DEFAULT_PRIORITY_SETTINGS.urgencyMultiplier
+) {
   return urgency * urgencyMultiplier + importance;
 }
-export function calculateUrgency(margin) {
-  if (margin < 0.15) return 1;
-  if (margin < 0.3) return 2;
-  if (margin < 0.45) return 3;
-  if (margin < 0.6) return 4;
-  return 5;
+export function calculateUrgency(
+  margin,
+  thresholds = DEFAULT_PRIORITY_SETTINGS.urgencyThresholds
+) {
+  // Urgency is 1 + the number of thresholds the margin has reached
+  const passed = thresholds.findIndex((limit) => margin < limit);
+  return passed < 0 ? thresholds.length + 1 : passed + 1;
 }
 export function calculateSlackMargin(timeNeeded, timeAvailable) {
   return timeNeeded / Math.max(timeAvailable, 0.001);
@@ -11,6 +11,7 @@ import {
   onSnapshot,
   doc,
   setDoc,
+  getDoc,
   updateDoc,
   addDoc,
   deleteDoc,
@@ -19,8 +20,17 @@ import {
   orderBy,
   serverTimestamp,
   getDocs,
+  deleteField,
+  where,
 } from "./firebaseConfig.js";
-import { arrayUnion, arrayRemove } from "firebase/firestore";
+import {
+  arrayUnion,
+  arrayRemove,
+  runTransaction,
+  writeBatch,
+  increment,
+} from "firebase/firestore";
+import { validateTaskFields } from "../features/tasks/validate.js";
 
 // Tasks
 /** Add a task
@@ -34,6 +44,8 @@ import { arrayUnion, arrayRemove } from "firebase/firestore";
 export async function addTask(task) {
   const u = auth.currentUser;
   if (!u) throw new Error('Not authed');
+  const problem = validateTaskFields(task);
+  if (problem) throw new Error(problem);
   return addDoc(collection(db, 'users', u.uid, 'tasks'), {
     ...task,
     completed: false,
@@ -66,23 +78,574 @@ export function watchTasks(cb) {
 /** Toggle for task complete
  * Reads the currently logged in user.
  * if there is no user, prevents database access.
- * updates the completed field for a task
+ * updates the completed field for a task (and when it was completed)
  */
 export async function toggleTaskComplete(id, completed) {
   const u = auth.currentUser;
   if (!u) throw new Error("Not authed");
-  return updateDoc(doc(db, "users", u.uid, "tasks", id), { completed });
+  // completedAt drives the Done view and auto-archiving; reopening clears it
+  return updateDoc(doc(db, "users", u.uid, "tasks", id), {
+    completed,
+    completedAt: completed ? serverTimestamp() : deleteField(),
+  });
+}
+
+/** Update a task in place
+ * Reads the currently logged in user.
+ * if there is no user, prevents database access.
+ * Validates only the fields present in patch (same rules as the add form)
+ * updateDoc only touches the given fields, so createdAt and completed are kept
+ */
+export async function updateTask(id, patch) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const problem = validateTaskFields(patch, { partial: true });
+  if (problem) throw new Error(problem);
+  return updateDoc(doc(db, "users", u.uid, "tasks", id), {
+    ...patch,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/** Remove a task doc + its time logs
+ * Reads everything first and returns it, so the delete can be undone
+ * with restoreTask (same id, same createdAt, same logs).
+ * collectionName is "tasks" or "archivedTasks"; logs always live under tasks/{id}
+ */
+async function removeTaskDoc(uid, collectionName, id) {
+  const ref = doc(db, "users", uid, collectionName, id);
+  const snap = await getDoc(ref);
+  const logs = await getDocs(collection(db, "users", uid, "tasks", id, "timeLogs"));
+  const batch = writeBatch(db);
+  logs.docs.forEach((d) => batch.delete(d.ref));
+  batch.delete(ref);
+  await batch.commit();
+  return {
+    collectionName,
+    id,
+    data: snap.data() ?? null,
+    logs: logs.docs.map((d) => ({ id: d.id, data: d.data() })),
+  };
 }
 
 /** Delete a task
  * Reads the currently logged in user.
  * if there is no user, prevents database access.
- * Deletes document at the specified path with passed in id
+ * Deletes document at the specified path with passed in id,
+ * together with its timeLogs subcollection (Firestore doesn't do that for us)
+ * Returns what was deleted (see removeTaskDoc) for undo
  */
 export async function deleteTask(id) {
   const u = auth.currentUser;
   if (!u) throw new Error("Not authed");
-  return deleteDoc(doc(db, "users", u.uid, "tasks", id));
+  return removeTaskDoc(u.uid, "tasks", id);
+}
+
+/** Restore a task
+ * Writes a task doc back exactly as it was (setDoc replaces every field),
+ * plus its time logs. Used by undo after delete and complete.
+ * dropLogIds removes logs written since (e.g. the timer entry made on complete)
+ */
+export async function restoreTask(snapshot, { dropLogIds = [] } = {}) {
+  return restoreTasks([{ ...snapshot, dropLogIds }]);
+}
+
+/** Restore several tasks in one batch
+ * Same as restoreTask for a list of snapshots ({ collectionName, id, data, logs, dropLogIds })
+ */
+export async function restoreTasks(snapshots) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const batch = writeBatch(db);
+  for (const { collectionName = "tasks", id, data, logs = [], dropLogIds = [] } of snapshots) {
+    if (!data) continue;
+    batch.set(doc(db, "users", u.uid, collectionName, id), data);
+    for (const log of logs) {
+      batch.set(doc(db, "users", u.uid, "tasks", id, "timeLogs", log.id), log.data);
+    }
+    for (const logId of dropLogIds) {
+      batch.delete(doc(db, "users", u.uid, "tasks", id, "timeLogs", logId));
+    }
+  }
+  return batch.commit();
+}
+
+/* ------------------- BULK ACTIONS ------------------- */
+/**
+ * Selection-mode actions on many tasks at once. Each one is a single
+ * writeBatch, so either every selected task changes or none does.
+ * A batch holds at most 500 writes, so very large selections are refused.
+ */
+const MAX_BATCH_WRITES = 500;
+
+function checkBatchSize(writes) {
+  if (writes > MAX_BATCH_WRITES) {
+    throw new Error("Too many changes at once. Please select fewer tasks.");
+  }
+}
+
+/** Complete several tasks
+ * tasks are objects from watchTasks. Running timers are stopped at stoppedAt
+ * and logged in the same batch (like stopTaskTimer).
+ * Returns { [taskId]: logId } for the timer entries written, for undo.
+ */
+export async function bulkCompleteTasks(tasks, stoppedAt) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  checkBatchSize(tasks.length * 2);
+
+  const batch = writeBatch(db);
+  const timerLogIds = {};
+  for (const t of tasks) {
+    const patch = { completed: true, completedAt: serverTimestamp() };
+    const started = t.timerStartedAt?.toDate ? t.timerStartedAt.toDate() : t.timerStartedAt;
+    if (started) {
+      const hours = (stoppedAt - started) / 3600000;
+      patch.timerStartedAt = deleteField();
+      if (hours > 0) {
+        const logRef = doc(collection(db, "users", u.uid, "tasks", t.id, "timeLogs"));
+        batch.set(logRef, {
+          start: started,
+          end: stoppedAt,
+          hours,
+          source: "timer",
+          createdAt: serverTimestamp(),
+        });
+        patch.loggedHours = increment(hours);
+        timerLogIds[t.id] = logRef.id;
+      }
+    }
+    batch.update(doc(db, "users", u.uid, "tasks", t.id), patch);
+  }
+  await batch.commit();
+  return timerLogIds;
+}
+
+/** Delete several tasks
+ * Removes each task with its time logs; deleted series instances are
+ * added to their series' skippedDates so they aren't generated again.
+ * Returns the removed snapshots (see removeTaskDoc) for undo.
+ */
+export async function bulkDeleteTasks(tasks) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+
+  // Read everything first: logs have to be deleted too, and undo needs the docs
+  const removed = [];
+  for (const t of tasks) {
+    const ref = doc(db, "users", u.uid, "tasks", t.id);
+    const snap = await getDoc(ref);
+    const logs = await getDocs(collection(db, "users", u.uid, "tasks", t.id, "timeLogs"));
+    removed.push({
+      collectionName: "tasks",
+      id: t.id,
+      data: snap.data() ?? null,
+      logs: logs.docs.map((d) => ({ id: d.id, data: d.data() })),
+    });
+  }
+
+  // Skipped dates grouped per series
+  const skips = new Map();
+  for (const t of tasks) {
+    if (!t.seriesId) continue;
+    if (!skips.has(t.seriesId)) skips.set(t.seriesId, []);
+    skips.get(t.seriesId).push(t.occurrenceDate ?? t.dueDate);
+  }
+
+  checkBatchSize(removed.reduce((n, r) => n + 1 + r.logs.length, 0) + skips.size);
+
+  const batch = writeBatch(db);
+  for (const r of removed) {
+    for (const log of r.logs) batch.delete(doc(db, "users", u.uid, "tasks", r.id, "timeLogs", log.id));
+    batch.delete(doc(db, "users", u.uid, "tasks", r.id));
+  }
+  for (const [seriesId, dates] of skips) {
+    batch.update(doc(db, "users", u.uid, "taskSeries", seriesId), {
+      skippedDates: arrayUnion(...dates),
+    });
+  }
+  await batch.commit();
+  return removed;
+}
+
+/** Patch several tasks
+ * updates = [{ id, patch }]; each patch is validated like updateTask
+ * (used for bulk reschedule and bulk importance changes)
+ */
+export async function bulkUpdateTasks(updates) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  for (const { patch } of updates) {
+    const problem = validateTaskFields(patch, { partial: true });
+    if (problem) throw new Error(problem);
+  }
+  checkBatchSize(updates.length);
+
+  const batch = writeBatch(db);
+  for (const { id, patch } of updates) {
+    batch.update(doc(db, "users", u.uid, "tasks", id), { ...patch, updatedAt: serverTimestamp() });
+  }
+  return batch.commit();
+}
+
+/* ------------------- ARCHIVE ------------------- */
+/**
+ * Archived tasks are moved out of the live collection so watchTasks stays small:
+ *   users/{uid}/archivedTasks/{taskId} = { ...task fields, archivedAt }
+ * The doc keeps its id; its timeLogs stay under tasks/{taskId}/timeLogs,
+ * so restoring a task is a single move back.
+ */
+
+// Firestore batches take at most 500 writes (2 per archived task)
+const ARCHIVE_CHUNK = 200;
+
+/** Archive tasks
+ * Takes task objects as delivered by watchTasks ({ id, ...fields })
+ * Copies each one into archivedTasks and removes it from tasks
+ */
+export async function archiveTasks(tasks) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  for (let i = 0; i < tasks.length; i += ARCHIVE_CHUNK) {
+    const batch = writeBatch(db);
+    for (const { id, ...fields } of tasks.slice(i, i + ARCHIVE_CHUNK)) {
+      batch.set(doc(db, "users", u.uid, "archivedTasks", id), {
+        ...fields,
+        archivedAt: serverTimestamp(),
+      });
+      batch.delete(doc(db, "users", u.uid, "tasks", id));
+    }
+    await batch.commit();
+  }
+}
+
+/** Load archived tasks
+ * One-off read (no listener): the Done view asks for these on demand
+ */
+export async function loadArchivedTasks() {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const snap = await getDocs(collection(db, "users", u.uid, "archivedTasks"));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/** Restore an archived task
+ * Moves it back into tasks as an open task (same id, createdAt kept)
+ */
+export async function restoreArchivedTask(task) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const { id, archivedAt, completedAt, ...fields } = task;
+  const batch = writeBatch(db);
+  batch.set(doc(db, "users", u.uid, "tasks", id), { ...fields, completed: false });
+  batch.delete(doc(db, "users", u.uid, "archivedTasks", id));
+  return batch.commit();
+}
+
+/** Delete an archived task
+ * Removes the archived doc and the time logs it left under tasks/{id}/timeLogs
+ * Returns what was deleted for undo (restoreTask puts it back in archivedTasks)
+ */
+export async function deleteArchivedTask(id) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return removeTaskDoc(u.uid, "archivedTasks", id);
+}
+
+/* ------------------- TIME LOGS ------------------- */
+/**
+ * Time worked on a task lives under the task:
+ *   users/{uid}/tasks/{taskId}/timeLogs/{logId} = { start, end, hours, source, createdAt }
+ * The task doc keeps a running total in "loggedHours" so the list can use it
+ * without listening to every subcollection.
+ */
+export async function logTaskTime(taskId, { start, end, hours, source = "manual" }) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  if (!(hours > 0)) throw new Error("Logged time must be more than 0 hours.");
+
+  const batch = writeBatch(db);
+  batch.set(doc(collection(db, "users", u.uid, "tasks", taskId, "timeLogs")), {
+    start: start ?? null,
+    end: end ?? null,
+    hours,
+    source,
+    createdAt: serverTimestamp(),
+  });
+  batch.update(doc(db, "users", u.uid, "tasks", taskId), {
+    loggedHours: increment(hours),
+    updatedAt: serverTimestamp(),
+  });
+  return batch.commit();
+}
+
+/** Start a timer on a task
+ * Stores the start time on the task doc, so a running timer survives a reload
+ */
+export async function startTaskTimer(taskId, startedAt) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return updateDoc(doc(db, "users", u.uid, "tasks", taskId), { timerStartedAt: startedAt });
+}
+
+/** Stop a task's timer
+ * Writes the elapsed time as a "timer" log entry and clears the timer in one batch
+ * Returns the new log's id (null when no time had passed)
+ */
+export async function stopTaskTimer(taskId, startedAt, stoppedAt) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+
+  const hours = (stoppedAt - startedAt) / 3600000;
+  const taskPatch = { timerStartedAt: deleteField(), updatedAt: serverTimestamp() };
+  const batch = writeBatch(db);
+  const logRef = hours > 0 ? doc(collection(db, "users", u.uid, "tasks", taskId, "timeLogs")) : null;
+  if (logRef) {
+    batch.set(logRef, {
+      start: startedAt,
+      end: stoppedAt,
+      hours,
+      source: "timer",
+      createdAt: serverTimestamp(),
+    });
+    taskPatch.loggedHours = increment(hours);
+  }
+  batch.update(doc(db, "users", u.uid, "tasks", taskId), taskPatch);
+  await batch.commit();
+  return logRef?.id ?? null;
+}
+
+/* ------------------- RECURRING TASKS ------------------- */
+/**
+ * A series is one doc: users/{uid}/taskSeries/{seriesId}
+ *   { name, dueTime, timeNeeded, importance, courseId, rule, skippedDates, createdAt }
+ * Its instances are regular task docs with id "{seriesId}_{occurrenceDate}",
+ * so generating the same occurrence twice always lands on the same doc.
+ */
+export function watchTaskSeries(cb) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return onSnapshot(collection(db, "users", u.uid, "taskSeries"), (snap) =>
+    cb(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+  );
+}
+
+/** Add a series
+ * Validates the task fields (the first due date is rule.startDate)
+ * Stores the template fields plus the repeat rule
+ */
+export async function addTaskSeries({ name, dueTime, timeNeeded, importance, courseId, rule }) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const problem = validateTaskFields({
+    name,
+    dueDate: rule?.startDate,
+    dueTime,
+    timeNeeded,
+    importance,
+  });
+  if (problem) throw new Error(problem);
+  return addDoc(collection(db, "users", u.uid, "taskSeries"), {
+    name,
+    dueTime: dueTime || null,
+    timeNeeded,
+    importance,
+    courseId: courseId || null,
+    rule,
+    skippedDates: [],
+    createdAt: serverTimestamp(),
+  });
+}
+
+/** Create one instance of a series
+ * Runs in a transaction so an instance that already exists
+ * (maybe edited, completed or archived) is never overwritten
+ */
+export async function createSeriesInstance(series, date) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const id = `${series.id}_${date}`;
+  const ref = doc(db, "users", u.uid, "tasks", id);
+  const archivedRef = doc(db, "users", u.uid, "archivedTasks", id);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (snap.exists()) return;
+    const archived = await tx.get(archivedRef);
+    if (archived.exists()) return;
+    tx.set(ref, {
+      name: series.name,
+      dueDate: date,
+      dueTime: series.dueTime || null,
+      timeNeeded: series.timeNeeded,
+      importance: series.importance,
+      courseId: series.courseId || null,
+      seriesId: series.id,
+      occurrenceDate: date,
+      completed: false,
+      createdAt: serverTimestamp(),
+    });
+  });
+}
+
+/** Skip one occurrence
+ * Remembers the date on the series so a deleted instance is not generated again
+ */
+export async function skipSeriesOccurrence(seriesId, date) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return updateDoc(doc(db, "users", u.uid, "taskSeries", seriesId), {
+    skippedDates: arrayUnion(date),
+  });
+}
+
+/** Undo a skip
+ * Forgets a skipped date again (undo of deleting one instance)
+ */
+export async function unskipSeriesOccurrence(seriesId, date) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return updateDoc(doc(db, "users", u.uid, "taskSeries", seriesId), {
+    skippedDates: arrayRemove(date),
+  });
+}
+
+/** Open instances of a series on or after a date (used by the "all future" edits) */
+async function futureOpenInstances(uid, seriesId, fromDate) {
+  const snap = await getDocs(
+    query(collection(db, "users", uid, "tasks"), where("seriesId", "==", seriesId))
+  );
+  return snap.docs.filter((d) => {
+    const data = d.data();
+    return !data.completed && (data.occurrenceDate ?? data.dueDate) >= fromDate;
+  });
+}
+
+/** Edit "all future" without changing dates
+ * Patches the series template and every open instance from fromDate on,
+ * in a single batched write
+ */
+export async function updateSeriesFuture(seriesId, fromDate, patch) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const problem = validateTaskFields(patch, { partial: true });
+  if (problem) throw new Error(problem);
+
+  const batch = writeBatch(db);
+  batch.update(doc(db, "users", u.uid, "taskSeries", seriesId), patch);
+  for (const d of await futureOpenInstances(u.uid, seriesId, fromDate)) {
+    batch.update(d.ref, { ...patch, updatedAt: serverTimestamp() });
+  }
+  return batch.commit();
+}
+
+/** Edit "all future" with a new schedule
+ * Ends the old series on lastOldDate, removes its open instances
+ * from fromDate on (with their time logs), and (unless newSeries is null,
+ * i.e. "stop repeating") starts a new series with the new fields + rule.
+ * keep = { id, patch } is the instance being edited: it is patched in place
+ * (and moved to the new series) instead of being deleted, so its logged
+ * hours, running timer and checklist progress stay.
+ * Instances of the new series are generated by syncSeriesInstances.
+ */
+export async function splitSeries(seriesId, fromDate, lastOldDate, newSeries, keep = null) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  if (newSeries) {
+    const problem = validateTaskFields({ ...newSeries, dueDate: newSeries.rule?.startDate });
+    if (problem) throw new Error(problem);
+  }
+  if (keep) {
+    const problem = validateTaskFields(keep.patch, { partial: true });
+    if (problem) throw new Error(problem);
+  }
+
+  // Read the logs of the instances that go away, so none are left behind
+  const removed = [];
+  for (const d of await futureOpenInstances(u.uid, seriesId, fromDate)) {
+    if (d.id === keep?.id) continue;
+    const logs = await getDocs(collection(db, "users", u.uid, "tasks", d.id, "timeLogs"));
+    removed.push({ ref: d.ref, logs: logs.docs });
+  }
+  checkBatchSize(removed.reduce((n, r) => n + 1 + r.logs.length, 0) + 3);
+
+  const batch = writeBatch(db);
+  batch.update(doc(db, "users", u.uid, "taskSeries", seriesId), { "rule.until": lastOldDate });
+  for (const r of removed) {
+    r.logs.forEach((log) => batch.delete(log.ref));
+    batch.delete(r.ref);
+  }
+
+  const newRef = newSeries ? doc(collection(db, "users", u.uid, "taskSeries")) : null;
+  if (newSeries) {
+    batch.set(newRef, {
+      name: newSeries.name,
+      dueTime: newSeries.dueTime || null,
+      timeNeeded: newSeries.timeNeeded,
+      importance: newSeries.importance,
+      courseId: newSeries.courseId || null,
+      rule: newSeries.rule,
+      skippedDates: [],
+      createdAt: serverTimestamp(),
+    });
+  }
+
+  if (keep) {
+    // In the new series it stands for its (possibly moved) due date,
+    // so syncSeriesInstances doesn't generate a second one for that date
+    const moved = newRef ? { seriesId: newRef.id, occurrenceDate: keep.patch.dueDate } : {};
+    batch.update(doc(db, "users", u.uid, "tasks", keep.id), {
+      ...keep.patch,
+      ...moved,
+      updatedAt: serverTimestamp(),
+    });
+  }
+  return batch.commit();
+}
+
+/* ------------------- TASK TEMPLATES ------------------- */
+/**
+ * Reusable task shapes, one doc each: users/{uid}/taskTemplates/{templateId}
+ *   { name, dueOffsetDays, dueTime, timeNeeded, importance, courseId, subtasks, createdAt }
+ * dueOffsetDays is counted from the day the template is used (or a picked date).
+ */
+export function watchTaskTemplates(cb) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return onSnapshot(
+    query(collection(db, "users", u.uid, "taskTemplates"), orderBy("name", "asc")),
+    (snap) => cb(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+  );
+}
+
+/** Save a template
+ * Checks the same fields as a task (the due date is relative, so it is skipped)
+ */
+export async function addTaskTemplate(template) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const { dueDate, ...fields } = template;
+  const problem = validateTaskFields({ ...fields, dueDate: "2000-01-01" });
+  if (problem) throw new Error(problem);
+  if (!(Number.isInteger(fields.dueOffsetDays) && fields.dueOffsetDays >= 0)) {
+    throw new Error("A template's due date must be today or later.");
+  }
+  return addDoc(collection(db, "users", u.uid, "taskTemplates"), {
+    name: fields.name,
+    dueOffsetDays: fields.dueOffsetDays,
+    dueTime: fields.dueTime || null,
+    timeNeeded: fields.timeNeeded,
+    importance: fields.importance,
+    courseId: fields.courseId || null,
+    subtasks: (fields.subtasks || []).map((s) => ({ title: s.title, hours: s.hours })),
+    createdAt: serverTimestamp(),
+  });
+}
+
+/** Delete a template */
+export async function deleteTaskTemplate(id) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return deleteDoc(doc(db, "users", u.uid, "taskTemplates", id));
 }
 
 /* ------------------- BASE SCHEDULE ------------------- */
@@ -194,14 +757,80 @@ export async function addStudyBlockForWindow(dayLabel, start, end) {
   });
 }
 
+/** Move or resize a study block
+ * Checks to see if a user is logged in
+ * Updates start and end of the existing document in place (id and createdAt are kept)
+ */
+export async function updateStudyBlockTimes(id, start, end) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  if (!(start instanceof Date) || !(end instanceof Date) || !(end > start)) {
+    throw new Error("A study block must end after it starts.");
+  }
+  return updateDoc(doc(db, "users", u.uid, "studyBlocks", id), { start, end });
+}
+
 /** Delete a study block
  * Checks to see if a user is logged in
  * deletes document with provided id from study blocks collection
+ * Returns the deleted { id, data } so the delete can be undone
  */
 export async function deleteStudyBlock(id) {
   const u = auth.currentUser;
   if (!u) throw new Error("Not authed");
-  return deleteDoc(doc(db, "users", u.uid, "studyBlocks", id));
+  const ref = doc(db, "users", u.uid, "studyBlocks", id);
+  const snap = await getDoc(ref);
+  await deleteDoc(ref);
+  return { id, data: snap.data() ?? null };
+}
+
+/** Restore a study block
+ * Checks to see if a user is logged in
+ * Writes a deleted block back under its old id with its old fields (createdAt included)
+ */
+export async function restoreStudyBlock({ id, data }) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  if (!data) return;
+  return setDoc(doc(db, "users", u.uid, "studyBlocks", id), data);
+}
+
+/** Move a base study hour for one week
+ * Checks to see if a user is logged in
+ * In one batch: excludes the base slot from its week and adds a study block
+ * at the new time, so the hour is never lost or doubled halfway
+ * Returns the new block's id (for undoBaseSlotMove)
+ */
+export async function moveBaseSlotForWeek(weekId, slotKey, start, end) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const blockRef = doc(collection(db, "users", u.uid, "studyBlocks"));
+  const batch = writeBatch(db);
+  batch.set(
+    doc(db, "users", u.uid, "baseScheduleExclusions", weekId),
+    { slots: arrayUnion(Number(slotKey)) },
+    { merge: true }
+  );
+  batch.set(blockRef, { title: "Study", start, end, createdAt: serverTimestamp() });
+  await batch.commit();
+  return blockRef.id;
+}
+
+/** Undo moveBaseSlotForWeek
+ * Checks to see if a user is logged in
+ * In one batch: deletes the added block and brings the base slot back
+ */
+export async function undoBaseSlotMove(weekId, slotKey, blockId) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const batch = writeBatch(db);
+  batch.delete(doc(db, "users", u.uid, "studyBlocks", blockId));
+  batch.set(
+    doc(db, "users", u.uid, "baseScheduleExclusions", weekId),
+    { slots: arrayRemove(Number(slotKey)) },
+    { merge: true }
+  );
+  return batch.commit();
 }
 
 // User
@@ -225,6 +854,115 @@ export async function upsertUserMeta(user) {
   );
 }
 
+/** Real time user preferences listener
+ * Checks to see if a user is logged in
+ * Listens to the root users/{uid} document, where per-user settings live
+ * (e.g. prioritySettings) and passes its data (or {}) to cb
+ */
+export function watchUserPrefs(cb) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  return onSnapshot(doc(db, "users", u.uid), (snap) => cb(snap.data() || {}));
+}
+
+/** Save priority settings
+ * Checks to see if a user is logged in
+ * Stores the priority model (urgency multiplier + thresholds) on the user doc
+ * Passing null removes the field, so the app falls back to the defaults
+ */
+export async function savePrioritySettings(settings) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  await setDoc(
+    doc(db, "users", u.uid),
+    {
+      prioritySettings: settings
+        ? {
+          urgencyMultiplier: settings.urgencyMultiplier,
+          urgencyThresholds: [...settings.urgencyThresholds],
+        }
+        : deleteField(),
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+/** Save the course list
+ * Checks to see if a user is logged in
+ * Stores the whole [{ id, name, color }] list on the user doc
+ */
+export async function saveCourses(courses) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  await setDoc(
+    doc(db, "users", u.uid),
+    {
+      courses: (courses || []).map((c) => ({ id: c.id, name: c.name, color: c.color })),
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+/** Save the default task sort
+ * Checks to see if a user is logged in
+ * Stores the sort levels ([{ key, dir }], most important first) on the user doc
+ */
+export async function saveDefaultSort(levels) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  await setDoc(
+    doc(db, "users", u.uid),
+    {
+      defaultSort: (levels || []).map((l) => ({ key: l.key, dir: l.dir })),
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+/** Save the auto-archive setting
+ * Checks to see if a user is logged in
+ * Completed tasks are archived this many days after completion
+ * Passing null removes the field (never archive automatically)
+ */
+export async function saveArchiveAfterDays(days) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  await setDoc(
+    doc(db, "users", u.uid),
+    {
+      archiveAfterDays: days ?? deleteField(),
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+/** Save calendar view preferences
+ * Checks to see if a user is logged in
+ * Stores the visible hours and the first day of the week on the user doc:
+ * calendarPrefs: { startHour (0-23), endHour (1-24, after startHour), weekStart (Monday = 0 … Sunday = 6) }
+ */
+export async function saveCalendarPrefs({ startHour, endHour, weekStart }) {
+  const u = auth.currentUser;
+  if (!u) throw new Error("Not authed");
+  const inRange = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+  if (!inRange(startHour, 0, 23) || !inRange(endHour, 1, 24) || endHour <= startHour) {
+    throw new Error("The calendar has to end after it starts.");
+  }
+  if (!inRange(weekStart, 0, 6)) throw new Error("Pick a day for the week to start on.");
+  await setDoc(
+    doc(db, "users", u.uid),
+    {
+      calendarPrefs: { startHour, endHour, weekStart },
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
 /** Delete all user data
  * Checks to see if a user is logged in
  * Defines names of subcollections to delete in subs array
@@ -238,10 +976,17 @@ export async function upsertUserMeta(user) {
 export async function deleteAllUserData() {
   const u = auth.currentUser;
   if (!u) throw new Error('Not authed');
-  const subs = ['tasks', 'weeks', 'studyBlocks', 'baseSchedule', 'meta'];
+  const subs = ['tasks', 'archivedTasks', 'taskSeries', 'taskTemplates', 'weeks', 'studyBlocks', 'baseSchedule', 'meta'];
   for (const name of subs) {
     const colRef = collection(db, 'users', u.uid, name);
     const snap = await getDocs(colRef);
+    // Tasks (live or archived) carry a timeLogs subcollection under tasks/{id} that has to go first
+    if (name === 'tasks' || name === 'archivedTasks') {
+      for (const d of snap.docs) {
+        const logs = await getDocs(collection(db, 'users', u.uid, 'tasks', d.id, 'timeLogs'));
+        await Promise.all(logs.docs.map(l => deleteDoc(l.ref)));
+      }
+    }
     const deletions = snap.docs.map(d => deleteDoc(doc(db, 'users', u.uid, name, d.id)));
     await Promise.all(deletions);
   }
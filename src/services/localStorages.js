@@ -23,3 +23,49 @@ export function loadTasksFromLocal() {
   const data = localStorage.getItem(TASKS_KEY);
   return data ? JSON.parse(data) : [];
 }
+
+/**
+ * Key for the task list filters (search text, status, dates, etc.)
+ */
+export const TASK_FILTERS_KEY = "taskFilters";
+
+/** Save task filters locally
+ * Stores the active filters so they survive a reload
+ */
+export function saveTaskFiltersLocally(filters) {
+  localStorage.setItem(TASK_FILTERS_KEY, JSON.stringify(filters));
+}
+
+/**
+ * gets the saved task filters
+ * returns null when nothing was saved or the stored value can't be parsed
+ */
+export function loadTaskFiltersFromLocal() {
+  const data = localStorage.getItem(TASK_FILTERS_KEY);
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Key for the calendar view (day, week, 2 weeks, month)
+ */
+export const CALENDAR_VIEW_KEY = "calendarView";
+
+/** Save the calendar view locally
+ * The view is a per-device choice (a phone may prefer the day view)
+ */
+export function saveCalendarViewLocally(view) {
+  localStorage.setItem(CALENDAR_VIEW_KEY, view);
+}
+
+/**
+ * gets the saved calendar view
+ * returns null when nothing was saved
+ */
+export function loadCalendarViewFromLocal() {
+  return localStorage.getItem(CALENDAR_VIEW_KEY);
+}
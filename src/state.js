@@ -5,7 +5,7 @@
  * Stores studyBlocks
  * Set of available time slots
  * Stores time offset for difference in Firebase server time versus user time
- * Tracks how many weeks the user has navigated away from the current week
+ * Tracks the calendar view and how many weeks the user has navigated away from the current week
  */
 export const state = {
   tasks: [],
@@ -13,7 +13,9 @@ export const state = {
   studyBlocks: [], // visible week only
   availSlots: new Set(),
   clockOffsetMs: 0,
+  calendarView: "week", // "day" | "week" | "2week" | "month"
   weekOffset: 0,
+  viewDay: null, // day of the visible week for the day/month views (null = today's weekday)
 };
 
 export function now() {